@@ -0,0 +1,113 @@
+/**
+ * adaptive.js: Computerized Adaptive Testing (CAT) for the Vigilante Type Engine
+ *
+ * Instead of walking every item of the form in a fixed order, the adaptive mode
+ * administers one item at a time and chooses each next item from the 2PL parameters
+ * of the instrument (see instruments.js; Form M unless the `instrument` option is set):
+ *
+ * 1.  The current theta and standard error of every dichotomy are estimated by EAP
+ *     (see scorer.js), which is defined from the very first item onwards.
+ * 2.  Among the dichotomies that still need items, the least precise one (largest
+ *     standard error) is targeted next.
+ * 3.  Within that dichotomy, the not-yet-administered item with the highest Fisher
+ *     information at the current theta, I(θ) = a² * P * Q, is selected.
+ *
+ * A dichotomy stops receiving items once its standard error reaches the target or
+ * once the per-dichotomy item cap is hit; the test ends when every dichotomy has
+ * stopped. Skipped items count as administered, so they are never offered again
+ * and still count towards the cap.
+ */
+
+import { getDichotomyItemIndices, getInstrument } from './instruments.js';
+import { calculateResults, probability } from './scorer.js';
+
+export const DEFAULT_ADAPTIVE_OPTIONS = {
+    targetStandardError: 0.45,
+    maxItemsPerDichotomy: 12
+};
+
+/**
+ * Summarizes the state of every dichotomy: current EAP theta and standard error,
+ * how many of its items were administered and whether it still needs items.
+ *
+ * `answers` uses the same shape as `calculateResults` (keyed by question number);
+ * `administered` lists the question indices shown so far, answered or skipped.
+ */
+export function getDichotomyStatus(answers, allQuestions, administered, options = {}) {
+    const { targetStandardError, maxItemsPerDichotomy, instrument = getInstrument() } = { ...DEFAULT_ADAPTIVE_OPTIONS, ...options };
+    const { dichotomyResults } = calculateResults(answers, allQuestions, { estimator: 'EAP', instrument });
+    const administeredSet = new Set(administered);
+    const status = {};
+
+    for (const [dichotomy, indices] of getDichotomyItemIndices(instrument)) {
+        const { theta, standardError } = dichotomyResults[dichotomy];
+        const administeredCount = indices.filter(qIndex => administeredSet.has(qIndex)).length;
+        const remaining = indices.filter(qIndex => !administeredSet.has(qIndex));
+
+        status[dichotomy] = {
+            theta,
+            standardError,
+            administeredCount,
+            complete: standardError <= targetStandardError
+                || administeredCount >= maxItemsPerDichotomy
+                || remaining.length === 0,
+            remaining
+        };
+    }
+
+    return status;
+}
+
+/**
+ * Returns the index of the next question to administer, or null when every
+ * dichotomy has reached its stopping rule.
+ */
+export function selectNextItem(answers, allQuestions, administered, options = {}) {
+    const { itemParameters } = options.instrument || getInstrument();
+    const status = getDichotomyStatus(answers, allQuestions, administered, options);
+
+    let target = null;
+    for (const [dichotomy, state] of Object.entries(status)) {
+        if (state.complete) continue;
+        if (!target || state.standardError > status[target].standardError) {
+            target = dichotomy;
+        }
+    }
+    if (!target) {
+        return null;
+    }
+
+    const { theta, remaining } = status[target];
+    let bestIndex = null;
+    let bestInformation = -Infinity;
+    for (const qIndex of remaining) {
+        const { a, b } = itemParameters[qIndex].params;
+        const P = probability(theta, a, b);
+        const information = a * a * P * (1 - P);
+        if (information > bestInformation) {
+            bestInformation = information;
+            bestIndex = qIndex;
+        }
+    }
+
+    return bestIndex;
+}
+
+/**
+ * Estimates how far the adaptive test has progressed, from 0 to 1. Each dichotomy
+ * contributes the larger of its share of the item cap and its progress from the
+ * prior standard error (1) towards the target; completed dichotomies count fully.
+ */
+export function adaptiveProgress(answers, allQuestions, administered, options = {}) {
+    const { targetStandardError, maxItemsPerDichotomy } = { ...DEFAULT_ADAPTIVE_OPTIONS, ...options };
+    const status = Object.values(getDichotomyStatus(answers, allQuestions, administered, options));
+
+    const total = status.reduce((sum, state) => {
+        if (state.complete) return sum + 1;
+        const byItems = state.administeredCount / maxItemsPerDichotomy;
+        const byPrecision = (1 - state.standardError) / (1 - targetStandardError);
+        return sum + Math.min(1, Math.max(0, byItems, byPrecision));
+    }, 0);
+
+    return total / status.length;
+}
@@ -0,0 +1,415 @@
+/**
+ * calibration.js: Re-estimates the 2PL item parameters from collected responses
+ *
+ * The parameters in itemParameterMatrix.js were derived from published factor loadings
+ * and a South African sample. This module calibrates them on our own respondents
+ * instead, by marginal maximum likelihood with the EM algorithm of Bock & Aitkin (1981),
+ * separately for each dichotomy:
+ *
+ * - The latent trait of each dichotomy is taken as standard normal in the calibration
+ *   sample, which fixes the scale, and integrated out on a fixed quadrature grid.
+ * - E-step: with the current parameters, each respondent's posterior over the grid
+ *   gives the expected number of respondents (n) and of positive-pole answers (r) at
+ *   every node for every item. Unanswered items, e.g. from the adaptive mode, simply do
+ *   not contribute.
+ * - M-step: each item's a and b are re-fitted to those expected counts by Newton-Raphson
+ *   and kept within the ranges itemBankValidator.js accepts; an item that ends on a
+ *   bound is flagged.
+ * - The steps repeat, starting from the instrument's current parameters, until no
+ *   parameter moves by more than the tolerance.
+ *
+ * Items answered by fewer than `minResponses` respondents keep their current parameters
+ * (they still inform the posteriors). For every item the result reports:
+ *
+ * - standard errors of a and b from the cross-product of the respondents' score
+ *   vectors (the XPD approximation to the marginal information, per item);
+ * - RMSD, the root mean squared difference between the observed and model proportions
+ *   over the grid, weighted by the expected counts (above 0.1 is commonly read as misfit);
+ * - a Q1-type chi-square (Yen, 1981): the respondents who answered the item are sorted by
+ *   their EAP theta on the other items of the dichotomy and split into groups, and each
+ *   group's observed proportion is compared with the proportion predicted from those
+ *   other items. Leaving the item out keeps its own answer from pulling the prediction
+ *   towards it. Reported with its degrees of freedom (groups - 2) and p-value.
+ *
+ * `formatParameterMatrix` writes the parameters back out as a module in the format of
+ * itemParameterMatrix.js; scripts/calibrateItems.js is the command-line front end. The
+ * module has no browser or Node dependencies.
+ */
+
+import { getDichotomyItemIndices } from './instruments.js';
+import { DISCRIMINATION_RANGE, LOCATION_RANGE } from './itemBankValidator.js';
+import { probability } from './scorer.js';
+import { chiSquareSurvival } from './statistics.js';
+
+export const ITEM_STATUS = {
+    calibrated: 'calibrated',
+    atBound: 'at-bound',
+    tooFewResponses: 'too-few-responses'
+};
+
+const NEWTON_ITERATIONS = 25;
+const NEWTON_TOLERANCE = 1e-6;
+const MIN_RESPONDENTS_PER_FIT_GROUP = 20;
+const MIN_FIT_GROUPS = 3;
+
+function clamp(value, { min, max }) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Equally spaced nodes over ±4 SD with normalized standard normal weights, in log form.
+ */
+function normalQuadrature(points) {
+    const nodes = [];
+    const densities = [];
+    for (let k = 0; k < points; k++) {
+        const node = -4 + (8 * k) / (points - 1);
+        nodes.push(node);
+        densities.push(Math.exp(-0.5 * node * node));
+    }
+    const total = densities.reduce((sum, density) => sum + density, 0);
+    return { nodes, logWeights: densities.map(density => Math.log(density / total)) };
+}
+
+/**
+ * Turns the response records of one dichotomy into, per respondent, the list of answered
+ * items (as positions within `indices`) with the keyed response u. Respondents who
+ * answered none of the items are left out.
+ */
+function keyResponses(records, questions, indices) {
+    const respondents = [];
+    for (const { answers } of records) {
+        const responses = [];
+        indices.forEach((qIndex, item) => {
+            const answer = answers[qIndex + 1];
+            if (!answer) return;
+            const option = questions[qIndex].options[answer.choice];
+            if (!option) {
+                throw new RangeError(`Question ${qIndex + 1} has no option "${answer.choice}" to score.`);
+            }
+            responses.push({ item, u: option.scoreKey });
+        });
+        if (responses.length > 0) {
+            respondents.push(responses);
+        }
+    }
+    return respondents;
+}
+
+/**
+ * Posterior weights of one respondent over the quadrature nodes, normalized, together
+ * with the log of the respondent's marginal likelihood.
+ */
+function posterior(responses, logP, logQ, logWeights) {
+    const logPosterior = logWeights.slice();
+    for (const { item, u } of responses) {
+        const logProbabilities = u === 1 ? logP[item] : logQ[item];
+        for (let k = 0; k < logPosterior.length; k++) {
+            logPosterior[k] += logProbabilities[k];
+        }
+    }
+    const max = Math.max(...logPosterior);
+    const weights = logPosterior.map(value => Math.exp(value - max));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return { weights: weights.map(weight => weight / total), logLikelihood: max + Math.log(total) };
+}
+
+function logProbabilityTables(params, nodes) {
+    const logP = [];
+    const logQ = [];
+    for (const { a, b } of params) {
+        const p = nodes.map(node => probability(node, a, b));
+        logP.push(p.map(value => Math.log(value)));
+        logQ.push(p.map(value => Math.log(1 - value)));
+    }
+    return { logP, logQ };
+}
+
+/**
+ * E-step: expected counts of respondents (n) and positive-pole answers (r) per item and
+ * node, and the marginal log-likelihood of the sample.
+ */
+function expectedCounts(respondents, params, nodes, logWeights) {
+    const { logP, logQ } = logProbabilityTables(params, nodes);
+    const n = params.map(() => new Float64Array(nodes.length));
+    const r = params.map(() => new Float64Array(nodes.length));
+    let logLikelihood = 0;
+
+    for (const responses of respondents) {
+        const { weights, logLikelihood: respondentLogLikelihood } = posterior(responses, logP, logQ, logWeights);
+        logLikelihood += respondentLogLikelihood;
+        for (const { item, u } of responses) {
+            for (let k = 0; k < nodes.length; k++) {
+                n[item][k] += weights[k];
+                if (u === 1) r[item][k] += weights[k];
+            }
+        }
+    }
+    return { n, r, logLikelihood };
+}
+
+/**
+ * M-step for one item: Newton-Raphson on the slope-intercept form a * θ + c (c = -a * b),
+ * a weighted logistic regression on the expected counts. Returns the new a and b and
+ * whether either had to be held at the edge of its accepted range.
+ */
+function fitItem(n, r, nodes, start) {
+    let a = start.a;
+    let c = -start.a * start.b;
+    let atBound = false;
+
+    for (let iteration = 0; iteration < NEWTON_ITERATIONS; iteration++) {
+        let gradientA = 0;
+        let gradientC = 0;
+        let infoAA = 0;
+        let infoAC = 0;
+        let infoCC = 0;
+        for (let k = 0; k < nodes.length; k++) {
+            const p = 1 / (1 + Math.exp(-(a * nodes[k] + c)));
+            const residual = r[k] - n[k] * p;
+            const weight = n[k] * p * (1 - p);
+            gradientA += residual * nodes[k];
+            gradientC += residual;
+            infoAA += weight * nodes[k] * nodes[k];
+            infoAC += weight * nodes[k];
+            infoCC += weight;
+        }
+        const determinant = infoAA * infoCC - infoAC * infoAC;
+        if (!(determinant > 1e-12)) break;
+
+        let stepA = (infoCC * gradientA - infoAC * gradientC) / determinant;
+        let stepC = (infoAA * gradientC - infoAC * gradientA) / determinant;
+        // Damp large steps, which occur when an item is almost perfectly separating.
+        const scale = Math.max(1, Math.abs(stepA), Math.abs(stepC));
+        stepA /= scale;
+        stepC /= scale;
+
+        const nextA = clamp(a + stepA, DISCRIMINATION_RANGE);
+        const nextB = clamp(-(c + stepC) / nextA, LOCATION_RANGE);
+        atBound = nextA !== a + stepA || nextB !== -(c + stepC) / nextA;
+        const change = Math.max(Math.abs(nextA - a), Math.abs(-nextA * nextB - c));
+        a = nextA;
+        c = -nextA * nextB;
+        if (change < NEWTON_TOLERANCE) break;
+    }
+    return { a, b: -c / a, atBound };
+}
+
+/**
+ * Standard errors of a and b per item from the cross-product of the respondents' score
+ * vectors, with the delta method for b = -c / a; null when the information is singular.
+ * Also collects, per item, each respondent's answer with the EAP theta and predicted
+ * probability from the posterior without that item, for the Q1 fit groups.
+ */
+function standardErrorsAndFitPairs(respondents, params, nodes, logWeights) {
+    const { logP, logQ } = logProbabilityTables(params, nodes);
+    const p = logP.map(row => row.map(value => Math.exp(value)));
+    const crossProducts = params.map(() => ({ aa: 0, ac: 0, cc: 0 }));
+    const fitPairs = params.map(() => []);
+
+    for (const responses of respondents) {
+        const { weights } = posterior(responses, logP, logQ, logWeights);
+        for (const { item, u } of responses) {
+            let scoreA = 0;
+            let scoreC = 0;
+            let restTotal = 0;
+            let restTheta = 0;
+            let restProbability = 0;
+            for (let k = 0; k < nodes.length; k++) {
+                const residual = weights[k] * (u - p[item][k]);
+                scoreA += residual * nodes[k];
+                scoreC += residual;
+                // Dividing out the item's own likelihood leaves the posterior of the other items.
+                const rest = weights[k] / (u === 1 ? p[item][k] : 1 - p[item][k]);
+                restTotal += rest;
+                restTheta += rest * nodes[k];
+                restProbability += rest * p[item][k];
+            }
+            fitPairs[item].push({ theta: restTheta / restTotal, expected: restProbability / restTotal, u });
+            crossProducts[item].aa += scoreA * scoreA;
+            crossProducts[item].ac += scoreA * scoreC;
+            crossProducts[item].cc += scoreC * scoreC;
+        }
+    }
+
+    const standardErrors = crossProducts.map(({ aa, ac, cc }, item) => {
+        const determinant = aa * cc - ac * ac;
+        if (!(determinant > 0)) return null;
+        const varA = cc / determinant;
+        const varC = aa / determinant;
+        const covAC = -ac / determinant;
+        const { a, b } = params[item];
+        const c = -a * b;
+        // Gradient of b = -c / a with respect to (a, c).
+        const db = [c / (a * a), -1 / a];
+        const varB = db[0] * db[0] * varA + 2 * db[0] * db[1] * covAC + db[1] * db[1] * varC;
+        return { a: Math.sqrt(varA), b: Math.sqrt(Math.max(0, varB)) };
+    });
+    return { standardErrors, fitPairs };
+}
+
+function rmsd(n, r, nodes, { a, b }) {
+    let squared = 0;
+    let total = 0;
+    for (let k = 0; k < nodes.length; k++) {
+        if (n[k] <= 0) continue;
+        const difference = r[k] / n[k] - probability(nodes[k], a, b);
+        squared += n[k] * difference * difference;
+        total += n[k];
+    }
+    return total > 0 ? Math.sqrt(squared / total) : null;
+}
+
+/**
+ * Q1 for one item: respondents who answered it are sorted by theta and split into up to
+ * `groups` groups of about equal size, each with at least MIN_RESPONDENTS_PER_FIT_GROUP
+ * respondents; null when fewer than MIN_FIT_GROUPS remain.
+ */
+function q1Fit(pairs, groups) {
+    const groupCount = Math.min(groups, Math.floor(pairs.length / MIN_RESPONDENTS_PER_FIT_GROUP));
+    if (groupCount < MIN_FIT_GROUPS) return null;
+    pairs.sort((x, y) => x.theta - y.theta);
+
+    let chiSquare = 0;
+    for (let g = 0; g < groupCount; g++) {
+        const group = pairs.slice(Math.round((g * pairs.length) / groupCount), Math.round(((g + 1) * pairs.length) / groupCount));
+        const observed = group.reduce((sum, { u }) => sum + u, 0) / group.length;
+        const expected = group.reduce((sum, pair) => sum + pair.expected, 0) / group.length;
+        chiSquare += (group.length * (observed - expected) ** 2) / (expected * (1 - expected));
+    }
+    const df = groupCount - 2;
+    return { chiSquare, df, p: chiSquareSurvival(chiSquare, df) };
+}
+
+function calibrateDichotomy(respondents, indices, instrument, settings) {
+    const { nodes, logWeights } = normalQuadrature(settings.quadraturePoints);
+    const responseCounts = indices.map(() => 0);
+    respondents.forEach(responses => responses.forEach(({ item }) => { responseCounts[item]++; }));
+    const calibrated = responseCounts.map(count => count >= settings.minResponses);
+
+    let params = indices.map(qIndex => {
+        const { a, b } = instrument.itemParameters[qIndex].params;
+        return { a: clamp(a, DISCRIMINATION_RANGE), b: clamp(b, LOCATION_RANGE), atBound: false };
+    });
+
+    let iterations = 0;
+    let converged = false;
+    let counts;
+    while (iterations < settings.maxIterations && !converged && calibrated.some(Boolean)) {
+        counts = expectedCounts(respondents, params, nodes, logWeights);
+        const next = params.map((current, item) => (calibrated[item] ? fitItem(counts.n[item], counts.r[item], nodes, current) : current));
+        const change = Math.max(...next.map((item, i) => Math.max(Math.abs(item.a - params[i].a), Math.abs(item.b - params[i].b))));
+        params = next;
+        iterations++;
+        converged = change < settings.tolerance;
+    }
+
+    counts = expectedCounts(respondents, params, nodes, logWeights);
+    const { standardErrors, fitPairs } = standardErrorsAndFitPairs(respondents, params, nodes, logWeights);
+
+    const items = indices.map((qIndex, item) => {
+        const previous = instrument.itemParameters[qIndex].params;
+        let status = ITEM_STATUS.tooFewResponses;
+        if (calibrated[item]) {
+            status = params[item].atBound ? ITEM_STATUS.atBound : ITEM_STATUS.calibrated;
+        }
+        return {
+            index: qIndex,
+            number: qIndex + 1,
+            responses: responseCounts[item],
+            status,
+            params: { a: params[item].a, b: params[item].b },
+            previous: { a: previous.a, b: previous.b },
+            standardErrors: calibrated[item] ? standardErrors[item] : null,
+            fit: {
+                rmsd: rmsd(counts.n[item], counts.r[item], nodes, params[item]),
+                q1: q1Fit(fitPairs[item], settings.fitGroups)
+            }
+        };
+    });
+
+    return {
+        summary: { respondents: respondents.length, iterations, converged: converged || !calibrated.some(Boolean), logLikelihood: counts.logLikelihood },
+        items
+    };
+}
+
+/**
+ * Calibrates the items of `instrument` on response records as read by responseFile.js
+ * ({ answers } keyed by item number; records with an `error` are skipped). `questions`
+ * is the instrument's item array, used to key the answers.
+ *
+ * Options:
+ * - quadraturePoints: nodes of the latent grid (default 41).
+ * - maxIterations: EM cycles per dichotomy (default 500).
+ * - tolerance: largest parameter change at convergence (default 1e-4).
+ * - minResponses: answers an item needs to be recalibrated (default 100).
+ * - fitGroups: maximum number of theta groups for Q1 (default 10).
+ *
+ * Returns { respondents, itemParameters, items, dichotomies }: `itemParameters` in the
+ * format of itemParameterMatrix.js, `items` with status, parameters, previous parameters,
+ * standard errors and fit per item in item order, and per dichotomy the respondents,
+ * EM iterations, convergence and final marginal log-likelihood.
+ */
+export function calibrateItems(records, questions, instrument, options = {}) {
+    const {
+        quadraturePoints = 41,
+        maxIterations = 500,
+        tolerance = 1e-4,
+        minResponses = 100,
+        fitGroups = 10
+    } = options;
+    if (!Number.isInteger(quadraturePoints) || quadraturePoints < 2) {
+        throw new RangeError(`quadraturePoints must be an integer of at least 2, got ${quadraturePoints}.`);
+    }
+    if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+        throw new RangeError(`maxIterations must be a positive integer, got ${maxIterations}.`);
+    }
+    if (!(tolerance > 0)) {
+        throw new RangeError(`tolerance must be positive, got ${tolerance}.`);
+    }
+    if (!Number.isInteger(minResponses) || minResponses < 1) {
+        throw new RangeError(`minResponses must be a positive integer, got ${minResponses}.`);
+    }
+    if (!Number.isInteger(fitGroups) || fitGroups < MIN_FIT_GROUPS) {
+        throw new RangeError(`fitGroups must be an integer of at least ${MIN_FIT_GROUPS}, got ${fitGroups}.`);
+    }
+
+    const usable = records.filter(record => !record.error);
+    const settings = { quadraturePoints, maxIterations, tolerance, minResponses, fitGroups };
+    const dichotomies = {};
+    const items = [];
+    for (const [name, indices] of getDichotomyItemIndices(instrument)) {
+        const respondents = keyResponses(usable, questions, indices);
+        const result = calibrateDichotomy(respondents, indices, instrument, settings);
+        dichotomies[name] = result.summary;
+        items.push(...result.items.map(item => ({ ...item, dichotomy: name })));
+    }
+    items.sort((x, y) => x.index - y.index);
+
+    const itemParameters = {};
+    for (const item of items) {
+        itemParameters[item.index] = {
+            dichotomy: item.dichotomy,
+            params: { a: Number(item.params.a.toFixed(4)), b: Number(item.params.b.toFixed(4)) }
+        };
+    }
+    return { respondents: usable.length, itemParameters, items, dichotomies };
+}
+
+/**
+ * Writes item parameters as an ES module in the format of itemParameterMatrix.js.
+ * `description` lines go into the header comment (e.g. the sample and the date).
+ */
+export function formatParameterMatrix(itemParameters, description = []) {
+    const header = [
+        '/**',
+        ' * itemParameterMatrix.js',
+        ' *',
+        ' * 2-Parameter Logistic (2PL) IRT parameters calibrated by marginal maximum likelihood',
+        ' * (EM) with calibration.js.',
+        ...(description.length > 0 ? [' *', ...description.map(line => ` * ${line}`.trimEnd())] : []),
+        ' */'
+    ];
+    return `${header.join('\n')}\nexport const itemParameters = ${JSON.stringify(itemParameters, null, 4)};\n`;
+}
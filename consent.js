@@ -0,0 +1,117 @@
+/**
+ * consent.js: Versioned consent to store a result
+ *
+ * Nothing leaves the browser before the respondent has agreed to it on the consent screen,
+ * whose text lives in the locale files under "consent". CONSENT_VERSION names that text:
+ * bump it whenever what the text says changes in any locale (what is stored, for how long,
+ * who can see it), so every stored result shows which text its respondent agreed to, and
+ * keep the old version in CONSENT_VERSIONS: results queued offline under the old text are
+ * still uploaded after the site has moved on, and save-results accepts them.
+ *
+ * Consent is given per purpose:
+ * - research: the answers, results and survey answers are stored for research, without
+ *   contact details, for RESEARCH_RETENTION_YEARS years. Nothing is submitted without it.
+ * - contact: the email address given for the giveaway is stored apart from the results
+ *   with only the consent version and dates to the day, so that nothing links the two,
+ *   and deleted after CONTACT_RETENTION_DAYS days.
+ *
+ * app.js records the consent in the payload with `buildConsentRecord`; the save-results
+ * function refuses a payload that fails `checkConsent` (see submissionValidator.js) and
+ * stores when each row's retention ends, and a daily database job deletes the rows past
+ * it (see supabase/migrations). Either way the participant can export or delete their
+ * data with their participant token (see the participant-data function).
+ * app.js creates the token with `createParticipantToken` and shows it before the result is
+ * even uploaded, so a result queued offline has its token too; save-results stores only
+ * hashes of it. The module has no browser, Node or Deno dependencies beyond `btoa` and
+ * the Web Crypto `crypto.getRandomValues`, which all three provide.
+ */
+
+export const CONSENT_VERSION = '1.0';
+
+// Every consent text ever shown, oldest first; the last is CONSENT_VERSION.
+export const CONSENT_VERSIONS = ['1.0'];
+
+// 32 random bytes as unpadded base64url.
+export const PARTICIPANT_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+export const RESEARCH_RETENTION_YEARS = 5;
+export const CONTACT_RETENTION_DAYS = 90;
+
+// Loose on purpose: the address is only ever used to write to the respondent.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_MAX_LENGTH = 254;
+
+/**
+ * The consent record stored with a result: { version, locale, research, contact,
+ * given_at }, where `locale` is the language the consent text was shown in.
+ */
+export function buildConsentRecord({ locale, research, contact, givenAt = new Date() }) {
+    return {
+        version: CONSENT_VERSION,
+        locale,
+        research: research === true,
+        contact: contact === true,
+        given_at: givenAt.toISOString()
+    };
+}
+
+/**
+ * Checks the consent record and the contact details of a payload. `contact` is null or
+ * { email }. Returns a list of problems as readable sentences, empty when the result may
+ * be stored and the contact details, if any, stored apart from it. Consent to an earlier
+ * text of CONSENT_VERSIONS counts; submissionValidator.js flags it for review.
+ */
+export function checkConsent(consent, contact) {
+    if (!consent || typeof consent !== 'object' || Array.isArray(consent)) {
+        return ['"consent" must be the consent record shown to the respondent.'];
+    }
+    const errors = [];
+    if (!CONSENT_VERSIONS.includes(consent.version)) {
+        errors.push(`The consent is for version ${JSON.stringify(consent.version)} of the consent text, which was never shown; the versions are ${CONSENT_VERSIONS.join(', ')}.`);
+    }
+    if (consent.research !== true) {
+        errors.push('The respondent has not consented to their result being stored for research.');
+    }
+    if (typeof consent.contact !== 'boolean') {
+        errors.push(`consent.contact must be true or false, got ${JSON.stringify(consent.contact)}.`);
+    }
+    if (typeof consent.locale !== 'string' || Number.isNaN(Date.parse(consent.given_at))) {
+        errors.push('The consent record must name the locale it was shown in and when it was given.');
+    }
+    if (contact === null || contact === undefined) {
+        return errors;
+    }
+    if (consent.contact !== true) {
+        errors.push('Contact details were sent without consent to store them.');
+    }
+    const email = contact && contact.email;
+    if (typeof email !== 'string' || email.length > EMAIL_MAX_LENGTH || !EMAIL_PATTERN.test(email)) {
+        errors.push(`contact.email must be an email address, got ${JSON.stringify(email)}.`);
+    }
+    return errors;
+}
+
+/**
+ * A new participant token: 32 bytes from the platform's cryptographic random generator,
+ * as unpadded base64url.
+ */
+export function createParticipantToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * When a row stored at `storedAt` for `purpose` ("research" or "contact") is due for
+ * deletion.
+ */
+export function retentionEnd(purpose, storedAt = new Date()) {
+    const end = new Date(storedAt.getTime());
+    if (purpose === 'research') {
+        end.setUTCFullYear(end.getUTCFullYear() + RESEARCH_RETENTION_YEARS);
+    } else if (purpose === 'contact') {
+        end.setUTCDate(end.getUTCDate() + CONTACT_RETENTION_DAYS);
+    } else {
+        throw new RangeError(`Unknown consent purpose "${purpose}"; expected research or contact.`);
+    }
+    return end;
+}
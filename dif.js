@@ -0,0 +1,334 @@
+/**
+ * dif.js: Differential item functioning (DIF) across respondent groups
+ *
+ * An item shows DIF when respondents of two groups who stand at the same level of a
+ * preference still choose its positive pole at different rates, e.g. because a word
+ * pair reads differently in translation or to younger respondents. `analyzeDif` checks
+ * every item against the other items of its dichotomy (as assigned in instruments.js),
+ * comparing each focal group with a reference group by two standard methods:
+ *
+ * - Mantel-Haenszel (Holland & Thayer, 1988): respondents are matched on their number of
+ *   positive-pole answers in the dichotomy, and the common odds ratio α across score
+ *   levels is reported as the ETS delta MH D-DIF = -2.35 ln α, with the continuity-
+ *   corrected MH chi-square and the Robins-Breslow-Greenland standard error. ETS classes:
+ *   A (negligible) unless |D-DIF| ≥ 1 and the chi-square is significant; C (large) when
+ *   |D-DIF| ≥ 1.5 and significantly above 1; B (moderate) otherwise.
+ * - Logistic regression (Swaminathan & Rogers, 1990): the positive-pole answer is
+ *   regressed on the same score, then group, then their interaction. The 2-df likelihood
+ *   ratio test covers uniform and non-uniform DIF together; the effect size is the gain
+ *   in Nagelkerke R², classed by Jodoin & Gierl (2001): C from 0.07, B from 0.035, A
+ *   below or when the test is not significant.
+ *
+ * Positive D-DIF and a positive group effect mean the focal group chooses the item's
+ * positive pole (E, S, T or J) more often than matched reference respondents.
+ *
+ * The matching score is purified once: items in class C by Mantel-Haenszel are dropped
+ * from the score and both methods are run again, keeping the studied item in it. Only
+ * respondents who answered every item of a dichotomy take part in its analysis, so that
+ * scores are comparable; adaptive administrations therefore drop out. All tests are at
+ * the 5% level. The module has no browser or Node dependencies; scripts/analyzeDif.js is
+ * the command-line front end.
+ */
+
+import { getDichotomyItemIndices } from './instruments.js';
+import { chiSquareSurvival, normalCdf } from './statistics.js';
+
+export const DIF_CLASSES = ['A', 'B', 'C'];
+
+const SIGNIFICANCE = 0.05;
+const D_DIF_PER_LOG_ODDS = -2.35;
+const ETS_MODERATE = 1;
+const ETS_LARGE = 1.5;
+const R2_MODERATE = 0.035;
+const R2_LARGE = 0.07;
+const LOGISTIC_ITERATIONS = 50;
+
+function worseClass(...classes) {
+    return classes.reduce((worst, current) => (current && DIF_CLASSES.indexOf(current) > DIF_CLASSES.indexOf(worst) ? current : worst), 'A');
+}
+
+/**
+ * Mantel-Haenszel statistics for one item. `rows` are { score, focal, u }.
+ */
+function mantelHaenszel(rows) {
+    const strata = new Map();
+    for (const { score, focal, u } of rows) {
+        if (!strata.has(score)) strata.set(score, { A: 0, B: 0, C: 0, D: 0 });
+        const cell = strata.get(score);
+        if (focal) {
+            cell[u === 1 ? 'C' : 'D']++;
+        } else {
+            cell[u === 1 ? 'A' : 'B']++;
+        }
+    }
+
+    let sumR = 0;
+    let sumS = 0;
+    let sumPR = 0;
+    let sumPSQR = 0;
+    let sumQS = 0;
+    let sumA = 0;
+    let sumExpectedA = 0;
+    let sumVarianceA = 0;
+    for (const { A, B, C, D } of strata.values()) {
+        const T = A + B + C + D;
+        const nReference = A + B;
+        const nFocal = C + D;
+        if (T < 2 || nReference === 0 || nFocal === 0) continue;
+        const m1 = A + C;
+        const m0 = B + D;
+        const P = (A + D) / T;
+        const Q = (B + C) / T;
+        const R = (A * D) / T;
+        const S = (B * C) / T;
+        sumR += R;
+        sumS += S;
+        sumPR += P * R;
+        sumPSQR += P * S + Q * R;
+        sumQS += Q * S;
+        sumA += A;
+        sumExpectedA += (nReference * m1) / T;
+        sumVarianceA += (nReference * nFocal * m1 * m0) / (T * T * (T - 1));
+    }
+    if (!(sumR > 0 && sumS > 0 && sumVarianceA > 0)) {
+        // Every matched pair agrees in direction; the odds ratio is 0 or infinite.
+        return { alpha: null, dDif: null, standardError: null, chiSquare: null, p: null, class: null };
+    }
+
+    const alpha = sumR / sumS;
+    const dDif = D_DIF_PER_LOG_ODDS * Math.log(alpha);
+    const logAlphaVariance = sumPR / (2 * sumR * sumR) + sumPSQR / (2 * sumR * sumS) + sumQS / (2 * sumS * sumS);
+    const standardError = Math.abs(D_DIF_PER_LOG_ODDS) * Math.sqrt(logAlphaVariance);
+    const chiSquare = Math.max(0, Math.abs(sumA - sumExpectedA) - 0.5) ** 2 / sumVarianceA;
+    const p = chiSquareSurvival(chiSquare, 1);
+
+    let difClass = 'A';
+    if (Math.abs(dDif) >= ETS_MODERATE && p < SIGNIFICANCE) {
+        const aboveModerate = 1 - normalCdf((Math.abs(dDif) - ETS_MODERATE) / standardError);
+        difClass = Math.abs(dDif) >= ETS_LARGE && aboveModerate < SIGNIFICANCE ? 'C' : 'B';
+    }
+    return { alpha, dDif, standardError, chiSquare, p, class: difClass };
+}
+
+/**
+ * Solves the small linear system A x = b by Gaussian elimination with partial pivoting;
+ * returns null when A is singular.
+ */
+function solve(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        if (Math.abs(M[pivot][col]) < 1e-12) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = M[row][n];
+        for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+        x[row] = sum / M[row][row];
+    }
+    return x;
+}
+
+/**
+ * Fits a logistic regression by Newton-Raphson (IRLS). `X` holds the predictor rows
+ * including the intercept column. Returns { coefficients, logLikelihood }.
+ */
+function fitLogistic(X, y) {
+    const k = X[0].length;
+    let beta = new Array(k).fill(0);
+    let logLikelihood = -Infinity;
+    for (let iteration = 0; iteration < LOGISTIC_ITERATIONS; iteration++) {
+        const gradient = new Array(k).fill(0);
+        const information = Array.from({ length: k }, () => new Array(k).fill(0));
+        logLikelihood = 0;
+        X.forEach((x, i) => {
+            const eta = x.reduce((sum, value, j) => sum + value * beta[j], 0);
+            const p = 1 / (1 + Math.exp(-eta));
+            // y * eta - ln(1 + e^eta), written to stay finite when the fit separates.
+            logLikelihood += y[i] * eta - (eta > 0 ? eta + Math.log1p(Math.exp(-eta)) : Math.log1p(Math.exp(eta)));
+            const w = p * (1 - p);
+            for (let j = 0; j < k; j++) {
+                gradient[j] += (y[i] - p) * x[j];
+                for (let l = 0; l < k; l++) information[j][l] += w * x[j] * x[l];
+            }
+        });
+        const step = solve(information, gradient);
+        if (!step) break;
+        beta = beta.map((value, j) => value + step[j]);
+        if (Math.max(...step.map(Math.abs)) < 1e-8) break;
+    }
+    return { coefficients: beta, logLikelihood };
+}
+
+function nagelkerke(logLikelihood, nullLogLikelihood, n) {
+    const coxSnell = 1 - Math.exp((2 * (nullLogLikelihood - logLikelihood)) / n);
+    const maximum = 1 - Math.exp((2 * nullLogLikelihood) / n);
+    return maximum > 0 ? coxSnell / maximum : 0;
+}
+
+/**
+ * Logistic regression DIF statistics for one item. `rows` are { score, focal, u }.
+ */
+function logisticDif(rows) {
+    const meanScore = rows.reduce((sum, { score }) => sum + score, 0) / rows.length;
+    const y = rows.map(({ u }) => u);
+    const models = [
+        rows.map(() => [1]),
+        rows.map(({ score }) => [1, score - meanScore]),
+        rows.map(({ score, focal }) => [1, score - meanScore, focal ? 1 : 0]),
+        rows.map(({ score, focal }) => [1, score - meanScore, focal ? 1 : 0, focal ? score - meanScore : 0])
+    ].map(X => fitLogistic(X, y));
+    const [nullModel, scoreModel, uniformModel, fullModel] = models;
+
+    const chiSquare = Math.max(0, 2 * (fullModel.logLikelihood - scoreModel.logLikelihood));
+    const p = chiSquareSurvival(chiSquare, 2);
+    const uniformP = chiSquareSurvival(Math.max(0, 2 * (uniformModel.logLikelihood - scoreModel.logLikelihood)), 1);
+    const nonUniformP = chiSquareSurvival(Math.max(0, 2 * (fullModel.logLikelihood - uniformModel.logLikelihood)), 1);
+    const deltaR2 = nagelkerke(fullModel.logLikelihood, nullModel.logLikelihood, rows.length)
+        - nagelkerke(scoreModel.logLikelihood, nullModel.logLikelihood, rows.length);
+
+    let difClass = 'A';
+    if (p < SIGNIFICANCE && deltaR2 >= R2_MODERATE) {
+        difClass = deltaR2 >= R2_LARGE ? 'C' : 'B';
+    }
+    return { chiSquare, p, uniformP, nonUniformP, groupEffect: uniformModel.coefficients[2], deltaR2, class: difClass };
+}
+
+/**
+ * Keyed answers (1 for the positive pole, 0 otherwise) of a record to the items of one
+ * dichotomy, or null when any of them is unanswered.
+ */
+function keyedDichotomyAnswers(record, questions, indices) {
+    const keyed = [];
+    for (const qIndex of indices) {
+        const answer = record.answers[qIndex + 1];
+        const option = answer ? questions[qIndex].options[answer.choice] : undefined;
+        if (!option) return null;
+        keyed.push(option.scoreKey);
+    }
+    return keyed;
+}
+
+/**
+ * Runs both methods for every item of a dichotomy on reference and focal respondents
+ * ({ focal, keyed }), matching on the items in `matching` plus the studied item.
+ */
+function analyzeDichotomy(respondents, itemCount, matching) {
+    const results = [];
+    for (let item = 0; item < itemCount; item++) {
+        const rows = respondents.map(({ focal, keyed }) => ({
+            focal,
+            u: keyed[item],
+            score: keyed.reduce((sum, u, other) => (other === item || matching.has(other) ? sum + u : sum), 0)
+        }));
+        results.push({ mh: mantelHaenszel(rows), lr: logisticDif(rows) });
+    }
+    return results;
+}
+
+/**
+ * Analyzes DIF on response records as read by responseFile.js (records with an `error`
+ * are skipped). `questions` is the instrument's item array.
+ *
+ * Options:
+ * - groupOf: function returning a record's group label, or null to leave it out
+ *   (default: none; required).
+ * - reference: label of the reference group (default: the largest group).
+ * - minGroupSize: respondents a group needs to be analyzed (default 50).
+ *
+ * Returns { reference, groups, skippedGroups, comparisons, items }: the group sizes, the
+ * groups too small to analyze, per focal group and dichotomy the respondents compared
+ * and the items dropped from the matching score, and one entry per item and focal group
+ * with the Mantel-Haenszel (`mh`) and logistic regression (`lr`) statistics and the worse
+ * of their two classes as `flag`.
+ */
+export function analyzeDif(records, questions, instrument, options = {}) {
+    const { groupOf, reference: requestedReference, minGroupSize = 50 } = options;
+    if (typeof groupOf !== 'function') {
+        throw new RangeError('groupOf must be a function returning the group of a record.');
+    }
+    if (!Number.isInteger(minGroupSize) || minGroupSize < 2) {
+        throw new RangeError(`minGroupSize must be an integer of at least 2, got ${minGroupSize}.`);
+    }
+
+    const grouped = records
+        .filter(record => !record.error)
+        .map(record => ({ record, group: groupOf(record) }))
+        .filter(({ group }) => group !== null && group !== undefined && group !== '');
+    const sizes = new Map();
+    grouped.forEach(({ group }) => sizes.set(group, (sizes.get(group) || 0) + 1));
+    const groups = [...sizes].map(([name, respondents]) => ({ name, respondents })).sort((x, y) => y.respondents - x.respondents);
+    if (groups.length < 2) {
+        throw new RangeError(`DIF needs at least two groups; found ${groups.map(({ name }) => `"${name}"`).join(', ') || 'none'}.`);
+    }
+
+    const reference = requestedReference ?? groups[0].name;
+    if (!sizes.has(reference)) {
+        throw new RangeError(`The reference group "${reference}" does not occur; groups are ${groups.map(({ name }) => `"${name}"`).join(', ')}.`);
+    }
+    const skippedGroups = groups.filter(({ name, respondents }) => respondents < minGroupSize && name !== reference);
+    if (sizes.get(reference) < minGroupSize) {
+        throw new RangeError(`The reference group "${reference}" has ${sizes.get(reference)} respondents; at least ${minGroupSize} are needed.`);
+    }
+    const focalGroups = groups.filter(({ name, respondents }) => name !== reference && respondents >= minGroupSize);
+
+    const comparisons = [];
+    const items = [];
+    for (const { name: focal } of focalGroups) {
+        const comparison = { focal, dichotomies: {} };
+        for (const [dichotomy, indices] of getDichotomyItemIndices(instrument)) {
+            const respondents = [];
+            let incomplete = 0;
+            for (const { record, group } of grouped) {
+                if (group !== reference && group !== focal) continue;
+                const keyed = keyedDichotomyAnswers(record, questions, indices);
+                if (keyed) {
+                    respondents.push({ focal: group === focal, keyed });
+                } else {
+                    incomplete++;
+                }
+            }
+            const nFocal = respondents.filter(respondent => respondent.focal).length;
+            const nReference = respondents.length - nFocal;
+            const summary = { reference: nReference, focal: nFocal, incomplete, purifiedItems: [] };
+            comparison.dichotomies[dichotomy] = summary;
+            if (nReference < minGroupSize || nFocal < minGroupSize) {
+                summary.skipped = true;
+                continue;
+            }
+
+            const allItems = new Set(indices.map((_, item) => item));
+            let results = analyzeDichotomy(respondents, indices.length, allItems);
+            const large = [...allItems].filter(item => results[item].mh.class === 'C');
+            if (large.length > 0) {
+                summary.purifiedItems = large.map(item => indices[item] + 1);
+                results = analyzeDichotomy(respondents, indices.length, new Set([...allItems].filter(item => !large.includes(item))));
+            }
+
+            results.forEach(({ mh, lr }, item) => items.push({
+                index: indices[item],
+                number: indices[item] + 1,
+                dichotomy,
+                reference,
+                focal,
+                respondents: { reference: nReference, focal: nFocal },
+                mh,
+                lr,
+                flag: worseClass(mh.class, lr.class)
+            }));
+        }
+        comparisons.push(comparison);
+    }
+    items.sort((x, y) => x.index - y.index || x.focal.localeCompare(y.focal));
+
+    return { reference, groups, skippedGroups, comparisons, items };
+}
@@ -0,0 +1,145 @@
+/**
+ * i18n.js: Locale support for the Vigilante Type Engine
+ *
+ * Every locale lives in its own folder under `locales/`:
+ *
+ * - `locales/<code>/strings.json` holds the UI copy and the pole descriptions used on the
+ *   verification screen, as nested objects addressed by dotted keys (e.g. "quiz.skip").
+ *   Values may contain {placeholders}, which are filled in by `t(key, params)`.
+ * - `locales/<code>/questions.json` holds the translated item text, keyed by the item
+ *   `number` of the English `questions.json`. Other instruments keep their translations
+ *   under the file name of their own item bank (see instruments.js). Only text is translated: dichotomy, facet,
+ *   pole and scoreKey always come from the English item bank, so a translation can never
+ *   change how an answer is scored.
+ *
+ * English is the reference locale. Any string or item missing from another locale falls
+ * back to English, and a key missing from English too is shown as the key itself.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+export const SUPPORTED_LOCALES = {
+    en: 'English',
+    es: 'Español',
+    fr: 'Français'
+};
+
+/**
+ * Picks the first supported locale from a list of candidates such as the `lang` URL
+ * parameter, a stored preference and `navigator.languages`. Region subtags are ignored
+ * when the full tag is not supported ("es-MX" resolves to "es").
+ */
+export function resolveLocale(candidates) {
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        const tag = String(candidate).toLowerCase();
+        if (SUPPORTED_LOCALES[tag]) return tag;
+        const language = tag.split('-')[0];
+        if (SUPPORTED_LOCALES[language]) return language;
+    }
+    return DEFAULT_LOCALE;
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Loads the strings and item translations of a locale together with the English
+ * fallback strings and returns a translator for them. `questionsFile` names the item
+ * bank whose translations to load. A locale whose files cannot be loaded degrades to
+ * English instead of failing.
+ */
+export async function loadLocale(locale, questionsFile = 'questions.json') {
+    const fallbackStrings = await fetchJson(`./locales/${DEFAULT_LOCALE}/strings.json`);
+    if (locale === DEFAULT_LOCALE || !SUPPORTED_LOCALES[locale]) {
+        return createTranslator(DEFAULT_LOCALE, fallbackStrings, fallbackStrings, null);
+    }
+
+    const [strings, questionTranslations] = await Promise.all([
+        fetchJson(`./locales/${locale}/strings.json`).catch(error => {
+            console.warn(`Falling back to English strings for "${locale}":`, error);
+            return {};
+        }),
+        fetchJson(`./locales/${locale}/${questionsFile}`).catch(error => {
+            console.warn(`Falling back to English questions for "${locale}":`, error);
+            return null;
+        })
+    ]);
+
+    return createTranslator(locale, strings, fallbackStrings, questionTranslations);
+}
+
+function lookup(dictionary, key) {
+    const value = key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), dictionary);
+    return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Builds the translator object used by the app:
+ * - t(key, params): the localized string, falling back to English and then to the key.
+ * - has(key): whether the key exists in the locale or in English.
+ * - localizeQuestions(questions): a copy of the English items with translated text.
+ * - applyTo(root): fills elements marked with data-i18n (text), data-i18n-html (markup),
+ *   data-i18n-placeholder and data-i18n-aria-label; unknown keys leave elements untouched.
+ */
+export function createTranslator(locale, strings, fallbackStrings, questionTranslations) {
+    function resolve(key) {
+        return lookup(strings, key) ?? lookup(fallbackStrings, key);
+    }
+
+    function t(key, params = {}) {
+        const template = resolve(key);
+        if (template === undefined) {
+            return key;
+        }
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    function has(key) {
+        return resolve(key) !== undefined;
+    }
+
+    function localizeQuestions(questions) {
+        const items = questionTranslations ? questionTranslations.items || {} : {};
+        return questions.map(question => {
+            const translation = items[question.number];
+            if (!translation) {
+                return question;
+            }
+            const options = {};
+            for (const [key, option] of Object.entries(question.options)) {
+                const text = translation.options ? translation.options[key] : undefined;
+                options[key] = { ...option, text: text ?? option.text };
+            }
+            const localized = { ...question, options };
+            if ('question' in question && translation.question) {
+                localized.question = translation.question;
+            }
+            return localized;
+        });
+    }
+
+    function applyTo(root) {
+        const bindings = [
+            ['data-i18n', (element, value) => { element.textContent = value; }],
+            ['data-i18n-html', (element, value) => { element.innerHTML = value; }],
+            ['data-i18n-placeholder', (element, value) => { element.setAttribute('placeholder', value); }],
+            ['data-i18n-aria-label', (element, value) => { element.setAttribute('aria-label', value); }]
+        ];
+        for (const [attribute, apply] of bindings) {
+            root.querySelectorAll(`[${attribute}]`).forEach(element => {
+                const key = element.getAttribute(attribute);
+                if (has(key)) {
+                    apply(element, t(key));
+                }
+            });
+        }
+    }
+
+    return { locale, t, has, localizeQuestions, applyTo };
+}
@@ -0,0 +1,195 @@
+/**
+ * instruments.js: Registry of the instruments (forms) the engine can administer
+ *
+ * Everything that differs between forms is declared here rather than in scorer.js or
+ * app.js, so a shortened or revised form can be piloted next to Form M by adding an
+ * entry. Each instrument declares:
+ *
+ * - id, version, name: recorded with every saved result. Bump `version` whenever the
+ *   items, parameters or scoring rules of a form change.
+ * - releases: every released version of the form, oldest first (the last is `version`),
+ *   each with the question set hashes (see resultRecord.js) of the English item banks
+ *   published under it. Add the new hash whenever questions.json changes, even for a
+ *   wording fix; save-results refuses results of versions and item banks not listed.
+ * - questionsFile: the item bank, relative to the site root (translations live under
+ *   the same file name in `locales/<code>/`), and questionsKey, the array inside it.
+ * - itemParameters: 2PL parameters keyed by question index ("0".."n-1"), in the shape
+ *   of itemParameterMatrix.js.
+ * - parts: the parts items may belong to; items of a `wordPairParts` part are word pairs
+ *   shown under a shared prompt and have no question text.
+ * - dichotomies: in reporting order, each with its poles (positive pole first) and its
+ *   facet names.
+ * - scoringProfile: the default rules that turn a theta into a reported preference:
+ *   - maxTheta, pciMax: |theta| is scaled so that maxTheta maps onto a PCI of pciMax
+ *     (PCI = |theta| / maxTheta * pciMax, kept within 1..pciMax).
+ *   - tieBreakers: per dichotomy, the pole reported when theta is exactly 0.
+ *   - pccCutPoints: the lowest PCI of each Preference Clarity Category, highest first.
+ *   - midpointAdjustments: preferences reclassified at very low PCI; a rule moves a
+ *     `from` preference to `to` when its PCI is at most `maxPci`.
+ *   `calculateResults` can be given a different profile to try alternative rules.
+ *
+ * The instrument is chosen by the `form` URL parameter, then by a
+ * <meta name="vte-instrument"> tag in index.html, and defaults to Form M.
+ */
+
+import { itemParameters as formMItemParameters } from './itemParameterMatrix.js';
+
+export const DEFAULT_INSTRUMENT_ID = 'form-m';
+
+export const INSTRUMENTS = {
+    'form-m': {
+        id: 'form-m',
+        version: '1.0',
+        name: 'MBTI® Form M',
+        releases: [
+            { version: '1.0', questionSetHashes: ['a7b51e4b'] }
+        ],
+        questionsFile: 'questions.json',
+        questionsKey: 'MBTI_Form_M',
+        itemParameters: formMItemParameters,
+        parts: ['I', 'II', 'III'],
+        wordPairParts: ['II'],
+        dichotomies: [
+            {
+                name: 'E-I',
+                poles: ['E', 'I'],
+                facets: ['Enthusiastic / Quiet', 'Gregarious / Intimate', 'Initiating / Receiving', 'Expressive / Contained', 'Active / Reflective']
+            },
+            {
+                name: 'S-N',
+                poles: ['S', 'N'],
+                facets: ['Practical / Conceptual', 'Realistic / Imaginative', 'Concrete / Abstract', 'Traditional / Original', 'Experiential / Theoretical']
+            },
+            {
+                name: 'T-F',
+                poles: ['T', 'F'],
+                facets: ['Logical / Empathetic', 'Reasonable / Compassionate', 'Tough / Tender', 'Critical / Accepting', 'Questioning / Accommodating']
+            },
+            {
+                name: 'J-P',
+                poles: ['J', 'P'],
+                facets: ['Planful / Open-ended', 'Scheduled / Spontaneous', 'Systematic / Casual', 'Early Starting / Pressure Prompted', 'Methodical / Emergent']
+            }
+        ],
+        // The rules of the MBTI Manual Third Edition, p. 147-149.
+        scoringProfile: {
+            id: 'form-m-manual',
+            maxTheta: 3.0,
+            pciMax: 30,
+            tieBreakers: { 'E-I': 'I', 'S-N': 'N', 'T-F': 'F', 'J-P': 'P' },
+            pccCutPoints: [
+                { minPci: 26, category: 'Very Clear' },
+                { minPci: 16, category: 'Clear' },
+                { minPci: 6, category: 'Moderate' },
+                { minPci: 1, category: 'Slight' }
+            ],
+            // The E-I midpoint is not adjusted.
+            midpointAdjustments: [
+                { dichotomy: 'S-N', from: 'S', to: 'N', maxPci: 1 },
+                { dichotomy: 'T-F', from: 'T', to: 'F', maxPci: 2 },
+                { dichotomy: 'J-P', from: 'J', to: 'P', maxPci: 1 }
+            ]
+        }
+    }
+};
+
+/**
+ * Returns the registered instrument with the given id, or throws a RangeError.
+ */
+export function getInstrument(id = DEFAULT_INSTRUMENT_ID) {
+    const instrument = INSTRUMENTS[id];
+    if (!instrument) {
+        throw new RangeError(`Unknown instrument "${id}". Expected one of ${Object.keys(INSTRUMENTS).join(', ')}.`);
+    }
+    return instrument;
+}
+
+/**
+ * Picks the first registered instrument id from a list of candidates (URL parameter,
+ * page configuration), falling back to the default instrument.
+ */
+export function resolveInstrumentId(candidates) {
+    for (const candidate of candidates) {
+        if (candidate && INSTRUMENTS[candidate]) return candidate;
+    }
+    return DEFAULT_INSTRUMENT_ID;
+}
+
+/**
+ * The preference clarity category whose preferences the respondent is asked to verify:
+ * the lowest one of a scoring profile (Slight for Form M). Results carry these category
+ * keys as their PCC and only the display translates them (i18n.js, `clarity.<key>`).
+ */
+export function verifiedClarity(profile) {
+    return profile.pccCutPoints[profile.pccCutPoints.length - 1].category;
+}
+
+const dichotomyIndexCache = new WeakMap();
+
+/**
+ * Maps every dichotomy of an instrument to the indices of its items, in item order,
+ * as assigned by the item parameters. Computed once per instrument.
+ */
+export function getDichotomyItemIndices(instrument) {
+    if (!dichotomyIndexCache.has(instrument)) {
+        const map = new Map(instrument.dichotomies.map(({ name }) => [name, []]));
+        for (const [index, params] of Object.entries(instrument.itemParameters)) {
+            if (!map.has(params.dichotomy)) {
+                map.set(params.dichotomy, []);
+            }
+            map.get(params.dichotomy).push(parseInt(index, 10));
+        }
+        map.forEach(indices => indices.sort((a, b) => a - b));
+        dichotomyIndexCache.set(instrument, map);
+    }
+    return dichotomyIndexCache.get(instrument);
+}
+
+/**
+ * Checks a scoring profile (see the top of this file) against the dichotomies of an
+ * instrument and returns the problems found. Used by itemBankValidator.js for the
+ * instruments' own profiles and by scorer.js to reject a profile passed to
+ * `calculateResults`.
+ */
+export function checkScoringProfile(profile, instrument) {
+    const errors = [];
+    const label = `Scoring profile "${profile && profile.id}"`;
+    if (!profile || typeof profile !== 'object') {
+        return [`Instrument "${instrument.id}" has no scoring profile.`];
+    }
+    if (!(profile.maxTheta > 0)) {
+        errors.push(`${label}: maxTheta must be positive, got ${profile.maxTheta}.`);
+    }
+    if (!Number.isInteger(profile.pciMax) || profile.pciMax < 1) {
+        errors.push(`${label}: pciMax must be a positive integer, got ${profile.pciMax}.`);
+    }
+
+    const dichotomies = Object.fromEntries(instrument.dichotomies.map(dichotomy => [dichotomy.name, dichotomy]));
+    for (const { name, poles } of instrument.dichotomies) {
+        const tieBreaker = profile.tieBreakers ? profile.tieBreakers[name] : undefined;
+        if (!poles.includes(tieBreaker)) {
+            errors.push(`${label}, ${name}: tie-breaker ${JSON.stringify(tieBreaker)} is not one of its poles.`);
+        }
+    }
+
+    const cutPoints = Array.isArray(profile.pccCutPoints) ? profile.pccCutPoints : [];
+    if (cutPoints.length === 0 || cutPoints[cutPoints.length - 1].minPci > 1) {
+        errors.push(`${label}: the lowest PCC cut-point must cover a PCI of 1.`);
+    }
+    for (let i = 1; i < cutPoints.length; i++) {
+        if (!(cutPoints[i].minPci < cutPoints[i - 1].minPci)) {
+            errors.push(`${label}: PCC cut-points must be ordered from the highest PCI down.`);
+            break;
+        }
+    }
+
+    for (const rule of profile.midpointAdjustments || []) {
+        const dichotomy = dichotomies[rule.dichotomy];
+        if (!dichotomy) {
+            errors.push(`${label}: midpoint adjustment for unknown dichotomy ${JSON.stringify(rule.dichotomy)}.`);
+        } else if (!dichotomy.poles.includes(rule.from) || !dichotomy.poles.includes(rule.to) || rule.from === rule.to) {
+            errors.push(`${label}: midpoint adjustment ${rule.from}→${rule.to} must move between the poles of ${rule.dichotomy}.`);
+        }
+    }
+    return errors;
+}
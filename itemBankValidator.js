@@ -0,0 +1,175 @@
+/**
+ * itemBankValidator.js: Consistency checks for the item bank
+ *
+ * The scorer trusts an instrument's item bank (e.g. `questions.json`) and its item
+ * parameters (e.g. `itemParameterMatrix.js`) completely: it looks up parameters by
+ * question index and reads the `scoreKey` of the chosen option. A mismatch between the
+ * two therefore either throws deep inside the estimation or, worse, silently mis-scores.
+ * `validateItemBank` checks both against the instrument definition (see instruments.js)
+ * and reports every problem it finds, so that app.js can refuse to start and
+ * `scripts/validateItemBank.js` can fail before a broken bank is deployed. It has no
+ * browser or Node dependencies.
+ *
+ * Checked:
+ * - The instrument definition itself: two poles per dichotomy and a scoring profile with
+ *   a tie-breaker among them, PCC cut-points from highest to lowest down to a PCI of 1,
+ *   and midpoint adjustments between the poles of a declared dichotomy.
+ * - The item bank has a non-empty array under the instrument's `questionsKey`, numbered
+ *   1..n in order.
+ * - Every item has a part and dichotomy of the instrument, question text (except in
+ *   word-pair parts), and exactly the options A and B.
+ * - Each option has text, a pole of the item's dichotomy and a scoreKey of 1 for the
+ *   positive (first) pole and 0 for the negative pole; the two options differ in pole.
+ * - Each facet is one of the facets the instrument declares for the item's dichotomy.
+ * - The item parameters have exactly one entry per question, keyed "0".."n-1", with the
+ *   same dichotomy as the question and `a`/`b` parameters within plausible 2PL ranges.
+ */
+
+import { checkScoringProfile } from './instruments.js';
+
+const OPTION_KEYS = ['A', 'B'];
+
+// Discrimination must be positive (a negative `a` reverses the keying); beyond 4 an item
+// behaves like a step function. Locations outside ±4 lie beyond the EAP quadrature grid.
+// calibration.js keeps re-estimated parameters within the same ranges.
+export const DISCRIMINATION_RANGE = { min: 0.1, max: 4 };
+export const LOCATION_RANGE = { min: -4, max: 4 };
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function validateOptions(question, label, dichotomies, errors) {
+    const { options } = question;
+    if (!options || typeof options !== 'object') {
+        errors.push(`${label}: "options" is missing.`);
+        return;
+    }
+    const keys = Object.keys(options);
+    if (keys.length !== OPTION_KEYS.length || !OPTION_KEYS.every(key => key in options)) {
+        errors.push(`${label}: options must be exactly ${OPTION_KEYS.join(' and ')}, found ${keys.join(', ') || 'none'}.`);
+        return;
+    }
+
+    const poles = dichotomies[question.dichotomy] ? dichotomies[question.dichotomy].poles : undefined;
+    for (const key of OPTION_KEYS) {
+        const option = options[key];
+        if (!option || typeof option !== 'object') {
+            errors.push(`${label}, option ${key}: expected an object.`);
+            return;
+        }
+        if (!isNonEmptyString(option.text)) {
+            errors.push(`${label}, option ${key}: "text" is missing.`);
+        }
+        if (option.scoreKey !== 0 && option.scoreKey !== 1) {
+            errors.push(`${label}, option ${key}: scoreKey must be 0 or 1, found ${JSON.stringify(option.scoreKey)}.`);
+        }
+        if (!poles) continue;
+        if (!poles.includes(option.pole)) {
+            errors.push(`${label}, option ${key}: pole ${JSON.stringify(option.pole)} is not a pole of ${question.dichotomy}.`);
+        } else if ((option.scoreKey === 1) !== (option.pole === poles[0])) {
+            errors.push(`${label}, option ${key}: pole ${option.pole} must have scoreKey ${option.pole === poles[0] ? 1 : 0}, found ${option.scoreKey}.`);
+        }
+    }
+    if (options.A.pole === options.B.pole) {
+        errors.push(`${label}: both options point to pole ${options.A.pole}.`);
+    }
+}
+
+function validateQuestion(question, index, instrument, dichotomies, errors) {
+    const label = `Question ${index + 1}`;
+    if (!question || typeof question !== 'object') {
+        errors.push(`${label}: expected an object.`);
+        return;
+    }
+    if (question.number !== index + 1) {
+        errors.push(`${label}: "number" is ${JSON.stringify(question.number)}; items must be numbered 1..n in order.`);
+    }
+    if (!instrument.parts.includes(question.part)) {
+        errors.push(`${label}: unknown part ${JSON.stringify(question.part)}.`);
+    } else if (!instrument.wordPairParts.includes(question.part) && !isNonEmptyString(question.question)) {
+        errors.push(`${label}: "question" text is missing.`);
+    }
+    if (!dichotomies[question.dichotomy]) {
+        errors.push(`${label}: unknown dichotomy ${JSON.stringify(question.dichotomy)}.`);
+    } else if (!dichotomies[question.dichotomy].facets.includes(question.facet)) {
+        errors.push(`${label}: facet ${JSON.stringify(question.facet)} is not a ${question.dichotomy} facet.`);
+    }
+    validateOptions(question, label, dichotomies, errors);
+}
+
+function validateDefinition(instrument, errors) {
+    for (const { name, poles } of instrument.dichotomies) {
+        if (!Array.isArray(poles) || poles.length !== 2) {
+            errors.push(`Instrument "${instrument.id}", ${name}: a dichotomy needs exactly two poles.`);
+            return;
+        }
+    }
+    errors.push(...checkScoringProfile(instrument.scoringProfile, instrument));
+}
+
+function validateParameters(questions, instrument, errors) {
+    const { itemParameters, questionsFile } = instrument;
+    if (!itemParameters || typeof itemParameters !== 'object') {
+        errors.push(`Instrument "${instrument.id}" has no item parameters.`);
+        return;
+    }
+    const keys = Object.keys(itemParameters);
+    if (keys.length !== questions.length) {
+        errors.push(`The item parameters have ${keys.length} items but ${questionsFile} has ${questions.length}.`);
+    }
+    for (const key of keys) {
+        const index = Number(key);
+        if (!Number.isInteger(index) || String(index) !== key || index < 0 || index >= questions.length) {
+            errors.push(`Item parameters: key "${key}" does not match any question index (0..${questions.length - 1}).`);
+        }
+    }
+
+    questions.forEach((question, index) => {
+        const label = `Item parameters for question ${index + 1} (key "${index}")`;
+        const entry = itemParameters[index];
+        if (!entry) {
+            errors.push(`${label} are missing.`);
+            return;
+        }
+        if (question && entry.dichotomy !== question.dichotomy) {
+            errors.push(`${label}: dichotomy ${JSON.stringify(entry.dichotomy)} does not match ${questionsFile} (${JSON.stringify(question.dichotomy)}).`);
+        }
+        const { a, b } = entry.params || {};
+        if (!Number.isFinite(a) || a < DISCRIMINATION_RANGE.min || a > DISCRIMINATION_RANGE.max) {
+            errors.push(`${label}: a = ${a} is outside [${DISCRIMINATION_RANGE.min}, ${DISCRIMINATION_RANGE.max}].`);
+        }
+        if (!Number.isFinite(b) || b < LOCATION_RANGE.min || b > LOCATION_RANGE.max) {
+            errors.push(`${label}: b = ${b} is outside [${LOCATION_RANGE.min}, ${LOCATION_RANGE.max}].`);
+        }
+    });
+}
+
+/**
+ * Validates a parsed item bank and the item parameters of `instrument` against its
+ * definition. Returns { valid, errors }, where `errors` lists every problem found as a
+ * readable sentence.
+ */
+export function validateItemBank(questionData, instrument) {
+    const errors = [];
+    const { questionsFile, questionsKey } = instrument;
+    const dichotomies = Object.fromEntries(instrument.dichotomies.map(dichotomy => [dichotomy.name, dichotomy]));
+    validateDefinition(instrument, errors);
+
+    const questions = questionData ? questionData[questionsKey] : undefined;
+    if (!Array.isArray(questions) || questions.length === 0) {
+        errors.push(`${questionsFile}: "${questionsKey}" must be a non-empty array.`);
+        return { valid: false, errors };
+    }
+
+    questions.forEach((question, index) => validateQuestion(question, index, instrument, dichotomies, errors));
+
+    for (const dichotomy of Object.keys(dichotomies)) {
+        if (!questions.some(question => question && question.dichotomy === dichotomy)) {
+            errors.push(`${questionsFile} has no items for ${dichotomy}.`);
+        }
+    }
+
+    validateParameters(questions, instrument, errors);
+    return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,212 @@
+/**
+ * reliability.js: Measurement precision of the item set the engine ships
+ *
+ * The reliabilities quoted in scorer.js come from the Form M manual and describe the
+ * published instrument, not the items and parameters in this repository. This module
+ * computes them for the item bank actually in use, per dichotomy:
+ *
+ * - From the 2PL parameters alone: the test information I(θ) = Σ aᵢ² Pᵢ(1 − Pᵢ) and the
+ *   conditional standard error 1 / √I(θ) over a grid of thetas, where the information
+ *   peaks, and the marginal reliability σ² / (σ² + E[SE²]) for a standard normal
+ *   population (σ² = 1; Green, Bock, Humphreys, Linn & Reckase, 1984), with the
+ *   expectation taken by quadrature.
+ * - From collected responses: Cronbach's alpha and KR-20, with each item's corrected
+ *   item-total correlation and the alpha without it. The item score is 1 for the
+ *   positive pole and 0 otherwise, and only respondents who answered every item of the
+ *   dichotomy are counted. For items scored 0/1 the two coefficients are algebraically
+ *   the same; both are given because the literature quotes either.
+ *
+ * The parameter-based figures are only as good as the parameters: they describe the
+ * precision the scorer assumes, which the response-based figures can confirm. The module
+ * has no browser or Node dependencies; scripts/reliabilityReport.js is the command-line
+ * front end.
+ */
+
+import { getDichotomyItemIndices } from './instruments.js';
+import { testInformation } from './scorer.js';
+
+export const DEFAULT_THETA_GRID = { min: -3, max: 3, step: 0.1 };
+
+// Quadrature for the marginal reliability: equally spaced points over ±4 with N(0, 1) weights.
+const QUADRATURE_POINTS = 81;
+const QUADRATURE_RANGE = 4;
+const PEAK_STEP = 0.01;
+
+function dichotomyItems(instrument) {
+    return new Map([...getDichotomyItemIndices(instrument)].map(([name, indices]) => [
+        name,
+        indices.map(index => instrument.itemParameters[index].params)
+    ]));
+}
+
+function thetaGrid({ min, max, step }) {
+    if (!Number.isFinite(min) || !Number.isFinite(max) || !(max > min) || !(step > 0)) {
+        throw new RangeError(`The theta grid needs finite min < max and a positive step, got min ${min}, max ${max}, step ${step}.`);
+    }
+    const count = Math.floor((max - min) / step + 1e-9) + 1;
+    // Rounded so that the thetas print as the grid was given, e.g. 0.3 rather than 0.30000000000000004.
+    return Array.from({ length: count }, (_, k) => Number((min + k * step).toFixed(10)));
+}
+
+/**
+ * Test information and conditional standard error per dichotomy over a grid of thetas
+ * (`grid`: { min, max, step }, default DEFAULT_THETA_GRID). Returns, keyed by dichotomy,
+ * an array of { theta, information, standardError }.
+ */
+export function informationCurves(instrument, grid = DEFAULT_THETA_GRID) {
+    const thetas = thetaGrid({ ...DEFAULT_THETA_GRID, ...grid });
+    return Object.fromEntries([...dichotomyItems(instrument)].map(([name, items]) => [
+        name,
+        thetas.map(theta => {
+            const information = testInformation(theta, items);
+            return { theta, information, standardError: information > 0 ? 1 / Math.sqrt(information) : null };
+        })
+    ]));
+}
+
+/**
+ * Marginal reliability per dichotomy for a standard normal population, together with the
+ * expected squared standard error it rests on and the theta at which the information
+ * peaks (searched over ±4 in steps of 0.01). Returns, keyed by dichotomy,
+ * { items, marginalReliability, expectedErrorVariance, peak: { theta, information } }.
+ */
+export function marginalReliability(instrument) {
+    const step = (2 * QUADRATURE_RANGE) / (QUADRATURE_POINTS - 1);
+    const nodes = Array.from({ length: QUADRATURE_POINTS }, (_, k) => -QUADRATURE_RANGE + k * step);
+    const densities = nodes.map(theta => Math.exp(-theta * theta / 2));
+    const totalDensity = densities.reduce((sum, density) => sum + density, 0);
+
+    return Object.fromEntries([...dichotomyItems(instrument)].map(([name, items]) => {
+        const errorVariance = nodes.reduce((sum, theta, k) => sum + densities[k] * (1 / testInformation(theta, items)), 0) / totalDensity;
+        let peak = { theta: -QUADRATURE_RANGE, information: -Infinity };
+        for (let k = 0; k <= Math.round(2 * QUADRATURE_RANGE / PEAK_STEP); k++) {
+            const theta = Number((-QUADRATURE_RANGE + k * PEAK_STEP).toFixed(2));
+            const information = testInformation(theta, items);
+            if (information > peak.information) peak = { theta, information };
+        }
+        return [name, {
+            items: items.length,
+            marginalReliability: 1 / (1 + errorVariance),
+            expectedErrorVariance: errorVariance,
+            peak
+        }];
+    }));
+}
+
+function variance(values, mean) {
+    return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+}
+
+function correlation(x, y) {
+    const n = x.length;
+    const meanX = x.reduce((sum, value) => sum + value, 0) / n;
+    const meanY = y.reduce((sum, value) => sum + value, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (let j = 0; j < n; j++) {
+        sxy += (x[j] - meanX) * (y[j] - meanY);
+        sxx += (x[j] - meanX) ** 2;
+        syy += (y[j] - meanY) ** 2;
+    }
+    return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/**
+ * Cronbach's alpha of a matrix of item scores (one row per respondent), or null when
+ * the total scores do not vary.
+ */
+function cronbachAlpha(rows, columns) {
+    const k = columns.length;
+    const totals = rows.map(row => columns.reduce((sum, item) => sum + row[item], 0));
+    const totalVariance = variance(totals, totals.reduce((sum, total) => sum + total, 0) / rows.length);
+    if (!(totalVariance > 0) || k < 2) return null;
+    const itemVariance = columns.reduce((sum, item) => {
+        const scores = rows.map(row => row[item]);
+        return sum + variance(scores, scores.reduce((s, u) => s + u, 0) / rows.length);
+    }, 0);
+    return (k / (k - 1)) * (1 - itemVariance / totalVariance);
+}
+
+function kr20(rows, itemCount) {
+    const n = rows.length;
+    const totals = rows.map(row => row.reduce((sum, u) => sum + u, 0));
+    const mean = totals.reduce((sum, total) => sum + total, 0) / n;
+    const totalVariance = totals.reduce((sum, total) => sum + (total - mean) ** 2, 0) / n;
+    if (!(totalVariance > 0) || itemCount < 2) return null;
+    let pq = 0;
+    for (let item = 0; item < itemCount; item++) {
+        const p = rows.reduce((sum, row) => sum + row[item], 0) / n;
+        pq += p * (1 - p);
+    }
+    return (itemCount / (itemCount - 1)) * (1 - pq / totalVariance);
+}
+
+/**
+ * Alpha, KR-20 and item statistics per dichotomy from response records as read by
+ * responseFile.js (records with an `error` are skipped). `questions` is the instrument's
+ * item array.
+ *
+ * Returns, keyed by dichotomy, { respondents, incomplete, alpha, kr20, items }, where
+ * `items` holds per item { number, positiveShare, itemTotalCorrelation, alphaIfDeleted }
+ * and the coefficients are null with fewer than two complete respondents or when the
+ * scores do not vary.
+ */
+export function internalConsistency(records, questions, instrument) {
+    const usable = records.filter(record => !record.error);
+    return Object.fromEntries([...getDichotomyItemIndices(instrument)].map(([name, indices]) => {
+        const rows = [];
+        for (const record of usable) {
+            const row = [];
+            for (const qIndex of indices) {
+                const answer = record.answers[qIndex + 1];
+                const option = answer ? questions[qIndex].options[answer.choice] : undefined;
+                if (!option) break;
+                row.push(option.scoreKey === 1 ? 1 : 0);
+            }
+            if (row.length === indices.length) rows.push(row);
+        }
+        const incomplete = usable.length - rows.length;
+        const columns = indices.map((_, item) => item);
+        if (rows.length < 2) {
+            return [name, {
+                respondents: rows.length, incomplete, alpha: null, kr20: null,
+                items: indices.map(qIndex => ({ number: qIndex + 1, positiveShare: null, itemTotalCorrelation: null, alphaIfDeleted: null }))
+            }];
+        }
+        const totals = rows.map(row => row.reduce((sum, u) => sum + u, 0));
+        return [name, {
+            respondents: rows.length,
+            incomplete,
+            alpha: cronbachAlpha(rows, columns),
+            kr20: kr20(rows, indices.length),
+            items: indices.map((qIndex, item) => {
+                const scores = rows.map(row => row[item]);
+                return {
+                    number: qIndex + 1,
+                    positiveShare: scores.reduce((sum, u) => sum + u, 0) / rows.length,
+                    // Corrected: the item is left out of the total it is correlated with.
+                    itemTotalCorrelation: correlation(scores, totals.map((total, j) => total - scores[j])),
+                    alphaIfDeleted: cronbachAlpha(rows, columns.filter(other => other !== item))
+                };
+            })
+        }];
+    }));
+}
+
+/**
+ * Everything above in one report for the instrument whose item array is `questions`:
+ * { instrument: { id, version }, dichotomies, curves, consistency }, where `dichotomies`
+ * is the result of `marginalReliability`, `curves` that of `informationCurves` over
+ * `options.grid`, and `consistency` that of `internalConsistency` on `options.records`,
+ * or null when no records are given.
+ */
+export function analyzeReliability(questions, instrument, options = {}) {
+    const { grid = DEFAULT_THETA_GRID, records = null } = options;
+    return {
+        instrument: { id: instrument.id, version: instrument.version },
+        dichotomies: marginalReliability(instrument),
+        curves: informationCurves(instrument, grid),
+        consistency: records ? internalConsistency(records, questions, instrument) : null
+    };
+}
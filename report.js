@@ -0,0 +1,137 @@
+/**
+ * report.js: Personal report for the Vigilante Type Engine
+ *
+ * Builds the take-away report shown at the end of a session: the reported type with a
+ * PCI bar per dichotomy, which dichotomies were verified and what was chosen, the
+ * best-fit type with its pole descriptions, and the date.
+ *
+ * The report is plain markup. It is rendered into the page for printing, where
+ * `print.css` hides everything else, and wrapped into a standalone HTML document for
+ * download, with the same stylesheet inlined so the file needs nothing else to display.
+ * All copy comes from the active locale through `t`.
+ */
+
+export const REPORT_CONTAINER_ID = 'report-print-area';
+
+function formatDate(date, locale) {
+    try {
+        return new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(date);
+    } catch (error) {
+        return date.toISOString().slice(0, 10);
+    }
+}
+
+// Each half of the bar covers one pole, filled up to the PCI out of the scoring profile's
+// pciMax (30 for Form M).
+function renderPciBar(dichotomy, pciMax) {
+    const [pole1] = dichotomy.poles;
+    const width = Number(((Math.min(dichotomy.pci, pciMax) / pciMax) * 50).toFixed(2));
+    // The bar grows from the centre towards the reported pole: left for the first pole, right for the second.
+    const left = dichotomy.reported === pole1 ? 50 - width : 50;
+    return `<div class="report-pci-bar" role="img" aria-label="PCI ${dichotomy.pci}"><span class="report-pci-fill" style="left: ${left}%; width: ${width}%;"></span></div>`;
+}
+
+function renderVerification(dichotomy, t) {
+    if (!dichotomy.verified) {
+        return t('report.notVerified');
+    }
+    const chosen = t(`poles.${dichotomy.bestFit}.name`);
+    return dichotomy.bestFit === dichotomy.reported
+        ? t('report.confirmed', { pole: chosen })
+        : t('report.changed', { pole: chosen });
+}
+
+/**
+ * Renders the report body. `report` is the object built by the app:
+ * { generatedAt: Date, locale, reportedType: 'ESTJ', bestFitType: 'ISTJ', pciMax: 30,
+ *   dichotomies: [{ key: 'E-I', poles: ['E', 'I'], reported, pci, pcc, verified, bestFit }] }
+ * where `pciMax` is the top of the PCI scale in the scoring profile the type was scored with.
+ */
+export function renderReport(report, t) {
+    const rows = report.dichotomies.map(dichotomy => {
+        const [pole1, pole2] = dichotomy.poles;
+        return `
+            <tr>
+                <th scope="row">${t(`poles.${pole1}.name`)} / ${t(`poles.${pole2}.name`)}</th>
+                <td class="report-letter">${dichotomy.reported}</td>
+                <td>
+                    <div class="report-pci-poles"><span>${pole1}</span><span>${pole2}</span></div>
+                    ${renderPciBar(dichotomy, report.pciMax)}
+                    <div class="report-pci-label">${t(`clarity.${dichotomy.pcc}`)} · PCI ${dichotomy.pci}</div>
+                </td>
+                <td>${renderVerification(dichotomy, t)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const descriptions = report.dichotomies.map(dichotomy => `
+        <section class="report-pole">
+            <h3>${t(`poles.${dichotomy.bestFit}.title`)}</h3>
+            <p>${t(`poles.${dichotomy.bestFit}.text`)}</p>
+        </section>
+    `).join('');
+
+    return `
+        <article class="report" lang="${report.locale}">
+            <header class="report-header">
+                <h1>${t('report.title')}</h1>
+                <p class="report-date">${t('report.generatedOn', { date: formatDate(report.generatedAt, report.locale) })}</p>
+            </header>
+            <section class="report-types">
+                <div class="report-type">
+                    <h2>${t('report.bestFitType')}</h2>
+                    <p class="report-type-code report-best-fit">${report.bestFitType}</p>
+                </div>
+                <div class="report-type">
+                    <h2>${t('report.reportedType')}</h2>
+                    <p class="report-type-code">${report.reportedType}</p>
+                </div>
+            </section>
+            <section>
+                <h2>${t('report.dichotomies')}</h2>
+                <table class="report-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">${t('report.dichotomy')}</th>
+                            <th scope="col">${t('report.reported')}</th>
+                            <th scope="col">${t('report.clarity')}</th>
+                            <th scope="col">${t('report.verification')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </section>
+            <section>
+                <h2>${t('report.descriptions')}</h2>
+                ${descriptions}
+            </section>
+            <footer class="report-footer">
+                <p>${t('report.disclaimer')}</p>
+            </footer>
+        </article>
+    `;
+}
+
+/**
+ * Wraps the report into a self-contained HTML document. `stylesheet` is the text of
+ * print.css, inlined without a media query so the file looks the same on screen.
+ */
+export function buildReportDocument(report, t, stylesheet = '') {
+    return `<!DOCTYPE html>
+<html lang="${report.locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('report.title')} (${report.bestFitType})</title>
+    <style>${stylesheet}</style>
+</head>
+<body>
+<div id="${REPORT_CONTAINER_ID}">${renderReport(report, t)}</div>
+</body>
+</html>
+`;
+}
+
+export function reportFileName(report) {
+    return `vte-report-${report.bestFitType}-${report.generatedAt.toISOString().slice(0, 10)}.html`;
+}
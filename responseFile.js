@@ -0,0 +1,215 @@
+/**
+ * responseFile.js: Reading and writing files of response sets
+ *
+ * Response sets scored outside the browser quiz (paper answer sheets, exports of the
+ * `results` table) arrive in one of two shapes:
+ *
+ * - CSV, one row per respondent and one column per item. The header names the item
+ *   columns by item number ("1", "Q1" or "item1", in any order); an optional "id"
+ *   column identifies the respondent. Answers are A or B in either case, and an empty
+ *   cell is an omitted item. Other columns (names, dates, groups) are kept as fields.
+ * - JSON lines, one object per line as saved by the save-results function: the answers
+ *   are read from `result_record` (see resultRecord.js), or from the `raw_answers` list of
+ *   { questionIndex, choice } answers of rows saved before records existed, and an
+ *   optional `id` identifies the respondent. The record's form, or a legacy row's
+ *   `instrument_id`, must match the instrument being scored. Other properties with a
+ *   string, number or boolean value (e.g. `locale`) are kept as fields.
+ *
+ * Either way every respondent becomes a record { id, line, answers, fields, error },
+ * where `answers` is keyed by item number in the shape `calculateResults` expects and
+ * `fields` holds the other values by column or property name, as text. A record
+ * that cannot be read carries an `error` instead of failing the whole file. The module
+ * only works on text, so it runs in Node and in the browser alike.
+ */
+
+import { checkResultRecord, migrateLegacyResult, recordAnswers } from './resultRecord.js';
+
+export const RESPONSE_FORMATS = ['csv', 'jsonl'];
+
+const CHOICES = ['A', 'B'];
+const ID_COLUMNS = ['id', 'respondent', 'respondent_id'];
+const ITEM_COLUMN = /^(?:q|item)?\s*(\d+)$/i;
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180: quoted cells may contain commas, quotes
+ * written as "" and line breaks). Each row records the line it starts on. Blank lines
+ * are skipped.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    const source = text.replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0].trim() !== '') {
+            rows.push({ line: rowLine, cells: row });
+        }
+        row = [];
+        cell = '';
+        rowLine = line;
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            line++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new RangeError(`CSV line ${rowLine}: a quoted cell is not closed.`);
+    }
+    endRow();
+    return rows;
+}
+
+function formatCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Joins a header and rows of values into CSV text; null and undefined become empty cells.
+ */
+export function formatCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(formatCsvCell).join(',')).join('\n') + '\n';
+}
+
+function readCsvResponses(text, questionCount) {
+    const [headerRow, ...dataRows] = parseCsv(text);
+    if (!headerRow) {
+        return { records: [], otherColumns: [] };
+    }
+
+    let idColumn = -1;
+    const itemColumns = [];
+    const otherColumns = [];
+    const seenItems = new Set();
+    headerRow.cells.forEach((name, column) => {
+        const label = name.trim();
+        const itemMatch = label.match(ITEM_COLUMN);
+        if (itemMatch) {
+            const number = parseInt(itemMatch[1], 10);
+            if (number < 1 || number > questionCount) {
+                throw new RangeError(`CSV column "${label}": there is no item ${number} (items are 1..${questionCount}).`);
+            }
+            if (seenItems.has(number)) {
+                throw new RangeError(`CSV column "${label}": item ${number} has more than one column.`);
+            }
+            seenItems.add(number);
+            itemColumns.push({ column, number });
+        } else if (idColumn < 0 && ID_COLUMNS.includes(label.toLowerCase())) {
+            idColumn = column;
+        } else {
+            otherColumns.push({ column, label });
+        }
+    });
+    if (itemColumns.length === 0) {
+        throw new RangeError('The CSV header names no item columns; expected columns such as "1", "Q1" or "item1".');
+    }
+
+    const records = dataRows.map(({ line, cells }) => {
+        const id = idColumn >= 0 && cells[idColumn] ? cells[idColumn].trim() : String(line);
+        if (cells.length !== headerRow.cells.length) {
+            return { id, line, answers: {}, fields: {}, error: `The row has ${cells.length} cells but the header has ${headerRow.cells.length}.` };
+        }
+        const fields = Object.fromEntries(otherColumns.map(({ column, label }) => [label, cells[column].trim()]));
+        const answers = {};
+        for (const { column, number } of itemColumns) {
+            const choice = cells[column].trim().toUpperCase();
+            if (choice === '') continue;
+            if (!CHOICES.includes(choice)) {
+                return { id, line, answers: {}, fields, error: `Item ${number} has answer "${cells[column].trim()}"; expected A, B or an empty cell.` };
+            }
+            answers[number] = { choice };
+        }
+        return { id, line, answers, fields, error: null };
+    });
+    return { records, otherColumns: otherColumns.map(({ label }) => label) };
+}
+
+function readJsonLineRecord(entry, line, instrument, questionCount) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { id: String(line), line, answers: {}, fields: {}, error: 'Expected a JSON object.' };
+    }
+    const id = entry.id !== undefined && entry.id !== null ? String(entry.id) : String(line);
+    const fields = {};
+    for (const [name, value] of Object.entries(entry)) {
+        if (name !== 'id' && ['string', 'number', 'boolean'].includes(typeof value)) {
+            fields[name] = String(value);
+        }
+    }
+    const fail = error => ({ id, line, answers: {}, fields, error });
+
+    let record = entry.result_record;
+    if (record === undefined || record === null) {
+        try {
+            record = migrateLegacyResult(entry, instrument, questionCount);
+        } catch (error) {
+            return fail(error.message);
+        }
+    } else {
+        const errors = checkResultRecord(record, instrument, questionCount);
+        if (errors.length > 0) {
+            return fail(errors.join(' '));
+        }
+    }
+    return { id, line, answers: recordAnswers(record), fields, error: null };
+}
+
+function readJsonLinesResponses(text, instrument, questionCount) {
+    const records = [];
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((content, index) => {
+        if (content.trim() === '') return;
+        const line = index + 1;
+        let entry;
+        try {
+            entry = JSON.parse(content);
+        } catch (error) {
+            records.push({ id: String(line), line, answers: {}, fields: {}, error: `Not valid JSON (${error.message}).` });
+            return;
+        }
+        records.push(readJsonLineRecord(entry, line, instrument, questionCount));
+    });
+    return { records, otherColumns: [] };
+}
+
+/**
+ * Reads a response file in one of RESPONSE_FORMATS for an instrument whose item bank has
+ * `questionCount` items. Returns { records, otherColumns }, the latter listing the CSV
+ * columns that are neither items nor the id. Throws a RangeError when
+ * the file as a whole is unusable (unknown format, no item columns, an unclosed quote);
+ * problems with single respondents are reported in their record's `error`.
+ */
+export function readResponses(text, format, instrument, questionCount) {
+    if (format === 'csv') {
+        return readCsvResponses(text, questionCount);
+    }
+    if (format === 'jsonl') {
+        return readJsonLinesResponses(text, instrument, questionCount);
+    }
+    throw new RangeError(`Unknown response format "${format}". Expected one of ${RESPONSE_FORMATS.join(', ')}.`);
+}
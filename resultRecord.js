@@ -0,0 +1,213 @@
+/**
+ * resultRecord.js: The versioned record of one completed assessment
+ *
+ * A result record is what gets stored for research: enough to rescore the answers later,
+ * when the scorer or its rules change, without guessing how they were collected. app.js
+ * builds it, the save-results function checks it (see submissionValidator.js), and
+ * responseFile.js reads it back from exports of the `results` table. Field names are
+ * snake_case, like the rest of the stored payload:
+ *
+ *     {
+ *       record_version: 1,
+ *       engine_version: '1.0',            // ENGINE_VERSION of scorer.js, null if unknown
+ *       form: { id, version, question_set_hash },
+ *       administration: 'fixed' | 'adaptive' | null,
+ *       scoring: { estimator, scoring_profile },
+ *       responses: { '1': { status, choice, latency_ms, changes }, ... },
+ *       thetas: { 'E-I': { theta, standard_error }, ... }
+ *     }
+ *
+ * `responses` has an entry for every item of the form, keyed by item number, with one of
+ * RESPONSE_STATUSES: "answered" (choice A or B), "omitted" (shown but left unanswered),
+ * "not-administered" (never shown, in adaptive mode) or "unknown" (see below). `choice`
+ * is null unless answered; `latency_ms` and `changes` are null when not recorded.
+ * `question_set_hash` identifies the exact English item bank (see `hashQuestionSet`).
+ *
+ * Rows saved before records existed hold a compacted `raw_answers` list, which drops
+ * unanswered items. `migrateLegacyResult` turns such a row into a record marked with
+ * `migrated_from: 'raw_answers'`: unanswered items of a fixed administration become
+ * omitted, and "unknown" when the administration was not recorded or was adaptive, since
+ * an adaptive item left unanswered may or may not have been shown. Unrecorded versions,
+ * hash and estimator stay null. The module has no browser, Node or Deno dependencies.
+ */
+
+export const RESULT_RECORD_VERSION = 1;
+
+export const RESPONSE_STATUSES = ['answered', 'omitted', 'not-administered', 'unknown'];
+
+// The estimator app.js scores each administration with.
+export const ADMINISTRATION_ESTIMATORS = { fixed: 'MLE', adaptive: 'EAP' };
+
+const CHOICES = ['A', 'B'];
+
+/**
+ * djb2 hash of an item array, as a hex string. Sessions, result tokens and records tie
+ * themselves to the exact item bank through it.
+ */
+export function hashQuestionSet(questions) {
+    const text = JSON.stringify(questions);
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+}
+
+function response(status, choice = null, latencyMs = null, changes = null) {
+    return { status, choice, latency_ms: latencyMs, changes };
+}
+
+function thetasOf(dichotomyResults) {
+    return Object.fromEntries(Object.entries(dichotomyResults).map(([name, result]) => [
+        name,
+        { theta: result.theta ?? null, standard_error: result.standardError ?? null }
+    ]));
+}
+
+/**
+ * Builds the record of a completed assessment.
+ * - answers: one entry per item, { choice, latencyMs, changes } or null when unanswered.
+ * - timings: one entry per item, { latencyMs, changes } or null, as kept by app.js; it
+ *   supplies the answer changes of items that were answered and then cleared.
+ * - administered: indices of the items shown in an adaptive administration, or null for
+ *   the fixed form.
+ * - estimator, scoringProfile, dichotomyResults, engineVersion: as reported by
+ *   `calculateResults` and scorer.js.
+ */
+export function buildResultRecord({ instrument, questionSetHash, answers, timings = [], administered = null, estimator, scoringProfile, dichotomyResults, engineVersion }) {
+    const shown = administered ? new Set(administered) : null;
+    const responses = {};
+    answers.forEach((answer, index) => {
+        const timing = timings[index];
+        if (answer) {
+            responses[index + 1] = response('answered', answer.choice, answer.latencyMs ?? null, answer.changes ?? null);
+        } else if (shown && !shown.has(index)) {
+            responses[index + 1] = response('not-administered');
+        } else {
+            responses[index + 1] = response('omitted', null, null, timing ? timing.changes : 0);
+        }
+    });
+    return {
+        record_version: RESULT_RECORD_VERSION,
+        engine_version: engineVersion,
+        form: { id: instrument.id, version: instrument.version, question_set_hash: questionSetHash },
+        administration: administered ? 'adaptive' : 'fixed',
+        scoring: { estimator, scoring_profile: scoringProfile },
+        responses,
+        thetas: thetasOf(dichotomyResults)
+    };
+}
+
+/**
+ * Checks the shape of a record for an instrument whose item bank has `questionCount`
+ * items. Returns a list of problems as readable sentences, empty when the record is
+ * usable. Versions and the question set hash are left to the caller, which may accept
+ * records of older forms for rescoring.
+ */
+export function checkResultRecord(record, instrument, questionCount) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return ['The result record must be an object.'];
+    }
+    if (record.record_version !== RESULT_RECORD_VERSION) {
+        return [`Unsupported result record version ${JSON.stringify(record.record_version)}; expected ${RESULT_RECORD_VERSION}.`];
+    }
+    const errors = [];
+    if (!record.form || record.form.id !== instrument.id) {
+        errors.push(`The record is for form ${JSON.stringify(record.form && record.form.id)}, not "${instrument.id}".`);
+    }
+    if (record.administration !== null && !(record.administration in ADMINISTRATION_ESTIMATORS)) {
+        errors.push(`administration must be one of ${Object.keys(ADMINISTRATION_ESTIMATORS).join(', ')} or null, got ${JSON.stringify(record.administration)}.`);
+    }
+    const { responses } = record;
+    if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+        errors.push('"responses" must be an object keyed by item number.');
+        return errors;
+    }
+    const extra = Object.keys(responses).filter(key => !(/^\d+$/.test(key) && Number(key) >= 1 && Number(key) <= questionCount));
+    if (extra.length > 0) {
+        errors.push(`"responses" has keys that are not item numbers 1 to ${questionCount}: ${extra.join(', ')}.`);
+    }
+    for (let number = 1; number <= questionCount; number++) {
+        const entry = responses[number];
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`Item ${number} has no response entry.`);
+            continue;
+        }
+        const { status, choice, latency_ms: latencyMs, changes } = entry;
+        if (!RESPONSE_STATUSES.includes(status)) {
+            errors.push(`Item ${number} has status ${JSON.stringify(status)}; expected one of ${RESPONSE_STATUSES.join(', ')}.`);
+        } else if (status === 'answered' ? !CHOICES.includes(choice) : choice !== null) {
+            errors.push(`Item ${number} is ${status} with choice ${JSON.stringify(choice)}; expected ${status === 'answered' ? CHOICES.join(' or ') : 'null'}.`);
+        }
+        if (latencyMs !== null && !(Number.isFinite(latencyMs) && latencyMs >= 0)) {
+            errors.push(`Item ${number} has latency_ms ${JSON.stringify(latencyMs)}; expected null or a number of at least 0.`);
+        }
+        if (changes !== null && !(Number.isInteger(changes) && changes >= 0)) {
+            errors.push(`Item ${number} has changes ${JSON.stringify(changes)}; expected null or an integer of at least 0.`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * The answered items of a record keyed by item number, in the shape `calculateResults`
+ * expects.
+ */
+export function recordAnswers(record) {
+    const answers = {};
+    for (const [number, { status, choice }] of Object.entries(record.responses)) {
+        if (status === 'answered') {
+            answers[number] = { choice };
+        }
+    }
+    return answers;
+}
+
+/**
+ * Converts a row stored before result records existed (`raw_answers` with
+ * `instrument_id`, `instrument_version`, `administration`, `scoring_profile` and
+ * `reported_type` where the row has them) into a record for `instrument`, whose item
+ * bank has `questionCount` items. Rows without an instrument were taken on the default
+ * form, which the caller passes. Throws a RangeError when `raw_answers` cannot be read.
+ */
+export function migrateLegacyResult(row, instrument, questionCount) {
+    if (row.instrument_id && row.instrument_id !== instrument.id) {
+        throw new RangeError(`The row was taken on form "${row.instrument_id}", not "${instrument.id}".`);
+    }
+    if (!Array.isArray(row.raw_answers)) {
+        throw new RangeError('"raw_answers" is missing or not a list.');
+    }
+    const administration = row.administration in ADMINISTRATION_ESTIMATORS ? row.administration : null;
+    const unanswered = administration === 'fixed' ? () => response('omitted') : () => response('unknown');
+    const responses = {};
+    for (const answer of row.raw_answers) {
+        if (answer === null) continue;
+        const { questionIndex, choice, latencyMs = null, changes = null } = answer;
+        if (!Number.isInteger(questionIndex) || questionIndex < 0 || questionIndex >= questionCount) {
+            throw new RangeError(`The answer for question index ${JSON.stringify(questionIndex)} is outside 0..${questionCount - 1}.`);
+        }
+        if (!CHOICES.includes(choice)) {
+            throw new RangeError(`Question index ${questionIndex} has choice ${JSON.stringify(choice)}; expected A or B.`);
+        }
+        if (responses[questionIndex + 1]) {
+            throw new RangeError(`Question index ${questionIndex} is answered more than once.`);
+        }
+        responses[questionIndex + 1] = response('answered', choice, latencyMs, changes);
+    }
+    for (let number = 1; number <= questionCount; number++) {
+        responses[number] = responses[number] || unanswered();
+    }
+    return {
+        record_version: RESULT_RECORD_VERSION,
+        engine_version: null,
+        form: { id: instrument.id, version: row.instrument_version ?? null, question_set_hash: null },
+        administration,
+        scoring: {
+            estimator: administration ? ADMINISTRATION_ESTIMATORS[administration] : null,
+            scoring_profile: row.scoring_profile ?? null
+        },
+        responses,
+        thetas: row.reported_type && typeof row.reported_type === 'object' ? thetasOf(row.reported_type) : {},
+        migrated_from: 'raw_answers'
+    };
+}
@@ -0,0 +1,147 @@
+/**
+ * resultToken.js: Compact, URL-safe encoding of a finished result
+ *
+ * A result token carries everything needed to rebuild a result in the browser, so a
+ * shareable link works on the static site without a server round-trip. Opening the link
+ * re-runs the scorer on the stored answers; scores themselves are never stored.
+ *
+ * Layout (bytes, then base64url without padding):
+ *   0      token version (RESULT_TOKEN_VERSION)
+ *   1-4    question set hash (the djb2 hash app.js uses for sessions), big-endian
+ *   5      flags: bit 0 adaptive administration, bit 1 speeded completion,
+ *          bits 4-7 best-fit choice per dichotomy (0 = first pole, 1 = second pole)
+ *   6-7    number of questions, big-endian
+ *   8-     two bits per question, four questions per byte, first question in the high bits:
+ *          0 = not administered, 1 = A, 2 = B, 3 = shown but skipped
+ *
+ * For the 93-item form this is 32 bytes, i.e. a 43-character token.
+ */
+
+export const RESULT_TOKEN_VERSION = 1;
+
+const HEADER_BYTES = 8;
+const FLAG_ADAPTIVE = 0x01;
+const FLAG_SPEEDED = 0x02;
+const BEST_FIT_SHIFT = 4;
+const MAX_DICHOTOMIES = 4;
+
+const CODE_NOT_ADMINISTERED = 0;
+const CODE_SKIPPED = 3;
+const CHOICE_CODES = { A: 1, B: 2 };
+const CODE_CHOICES = { 1: 'A', 2: 'B' };
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    if (!/^[A-Za-z0-9_-]+$/.test(text)) {
+        throw new RangeError('Result token contains characters outside base64url.');
+    }
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    let binary;
+    try {
+        binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    } catch (error) {
+        throw new RangeError('Result token is not valid base64url.');
+    }
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Encodes a result.
+ * - questionSetHash: hex string of the 32-bit question set hash.
+ * - answers: one entry per question, 'A', 'B' or null when unanswered.
+ * - administered: indices of the questions that were shown, or null when all were
+ *   (the fixed form). Unanswered questions outside it are stored as not administered.
+ * - bestFit: per dichotomy, 0 for the first pole and 1 for the second.
+ */
+export function encodeResultToken({ questionSetHash, answers, administered = null, adaptive = false, speeded = false, bestFit }) {
+    if (!/^[0-9a-f]{1,8}$/i.test(questionSetHash)) {
+        throw new RangeError(`questionSetHash must be a 32-bit hex string, got "${questionSetHash}".`);
+    }
+    if (answers.length > 0xffff) {
+        throw new RangeError(`Result tokens hold at most 65535 questions, got ${answers.length}.`);
+    }
+    if (!Array.isArray(bestFit) || bestFit.length > MAX_DICHOTOMIES || bestFit.some(bit => bit !== 0 && bit !== 1)) {
+        throw new RangeError(`bestFit must be up to ${MAX_DICHOTOMIES} pole indices of 0 or 1.`);
+    }
+
+    const shown = administered ? new Set(administered) : null;
+    const bytes = new Uint8Array(HEADER_BYTES + Math.ceil(answers.length / 4));
+    const hash = parseInt(questionSetHash, 16) >>> 0;
+
+    bytes[0] = RESULT_TOKEN_VERSION;
+    bytes[1] = hash >>> 24;
+    bytes[2] = (hash >>> 16) & 0xff;
+    bytes[3] = (hash >>> 8) & 0xff;
+    bytes[4] = hash & 0xff;
+    bytes[5] = (adaptive ? FLAG_ADAPTIVE : 0)
+        | (speeded ? FLAG_SPEEDED : 0)
+        | bestFit.reduce((bits, pole, i) => bits | (pole << (BEST_FIT_SHIFT + i)), 0);
+    bytes[6] = answers.length >>> 8;
+    bytes[7] = answers.length & 0xff;
+
+    answers.forEach((choice, index) => {
+        let code;
+        if (choice !== null && choice !== undefined) {
+            code = CHOICE_CODES[choice];
+            if (code === undefined) {
+                throw new RangeError(`Question ${index + 1} has choice "${choice}"; only A and B can be encoded.`);
+            }
+        } else {
+            code = !shown || shown.has(index) ? CODE_SKIPPED : CODE_NOT_ADMINISTERED;
+        }
+        bytes[HEADER_BYTES + (index >> 2)] |= code << (6 - 2 * (index & 3));
+    });
+
+    return toBase64Url(bytes);
+}
+
+/**
+ * Decodes a token produced by encodeResultToken. Throws a RangeError when the token is
+ * malformed or from another token version; checking the question set hash is up to the
+ * caller. Returns { questionSetHash, adaptive, speeded, bestFit, answers, administered },
+ * where `administered` lists the indices of every question that was shown.
+ */
+export function decodeResultToken(token, dichotomyCount = MAX_DICHOTOMIES) {
+    const bytes = fromBase64Url(token);
+    if (bytes.length < HEADER_BYTES) {
+        throw new RangeError('Result token is too short.');
+    }
+    if (bytes[0] !== RESULT_TOKEN_VERSION) {
+        throw new RangeError(`Unsupported result token version ${bytes[0]}.`);
+    }
+    const questionCount = (bytes[6] << 8) | bytes[7];
+    if (bytes.length !== HEADER_BYTES + Math.ceil(questionCount / 4)) {
+        throw new RangeError(`Result token length does not match its ${questionCount} questions.`);
+    }
+
+    const hash = ((bytes[1] << 24) | (bytes[2] << 16) | (bytes[3] << 8) | bytes[4]) >>> 0;
+    const flags = bytes[5];
+    const bestFit = [];
+    for (let i = 0; i < dichotomyCount; i++) {
+        bestFit.push((flags >> (BEST_FIT_SHIFT + i)) & 1);
+    }
+
+    const answers = [];
+    const administered = [];
+    for (let index = 0; index < questionCount; index++) {
+        const code = (bytes[HEADER_BYTES + (index >> 2)] >> (6 - 2 * (index & 3))) & 3;
+        answers.push(CODE_CHOICES[code] ?? null);
+        if (code !== CODE_NOT_ADMINISTERED) {
+            administered.push(index);
+        }
+    }
+
+    return {
+        questionSetHash: hash.toString(16),
+        adaptive: (flags & FLAG_ADAPTIVE) !== 0,
+        speeded: (flags & FLAG_SPEEDED) !== 0,
+        bestFit,
+        answers,
+        administered
+    };
+}
@@ -0,0 +1,53 @@
+/**
+ * retest.js: Comparison of a retest with an earlier result
+ *
+ * When a respondent takes the assessment again, `compareResults` sets the new dichotomy
+ * results beside the earlier ones (both as returned by `calculateResults`). Per
+ * dichotomy it reports the change in theta and whether that change exceeds measurement
+ * error, by the reliable change index of Jacobson & Truax (1991) with each estimate's own
+ * standard error in place of one standard error of measurement for everybody:
+ *
+ *   RCI = (θ₂ − θ₁) / √(SE₁² + SE₂²)
+ *
+ * A change is beyond measurement error when |RCI| exceeds 1.96 (5%, two-sided). A
+ * letter can flip without such a change when both results lie close to the midpoint,
+ * and the comparison says so rather than reading the flip as a change of preference.
+ */
+
+export const RELIABLE_CHANGE_Z = 1.96;
+
+function summarize({ preference, pci, pcc, theta, standardError }) {
+    return { preference, pci, pcc, theta, standardError };
+}
+
+/**
+ * Compares earlier and current dichotomy results, in the order of `dichotomies`
+ * (default: that of `current`). Returns, keyed by dichotomy, { previous, current,
+ * thetaChange, standardErrorOfChange, reliableChangeIndex, exceedsError, flipped }, where
+ * `previous` and `current` hold the preference, PCI, PCC, theta and standard error of
+ * each result. The standard error of the change, the index and `exceedsError` are null
+ * when either result has no standard error.
+ */
+export function compareResults(previous, current, dichotomies = Object.keys(current)) {
+    return Object.fromEntries(dichotomies.map(name => {
+        const before = previous[name];
+        const after = current[name];
+        if (!before || !after) {
+            throw new RangeError(`Both results need the ${name} dichotomy to be compared.`);
+        }
+        const thetaChange = after.theta - before.theta;
+        const standardErrorOfChange = before.standardError !== null && after.standardError !== null
+            ? Math.sqrt(before.standardError ** 2 + after.standardError ** 2)
+            : null;
+        const reliableChangeIndex = standardErrorOfChange > 0 ? thetaChange / standardErrorOfChange : null;
+        return [name, {
+            previous: summarize(before),
+            current: summarize(after),
+            thetaChange,
+            standardErrorOfChange,
+            reliableChangeIndex,
+            exceedsError: reliableChangeIndex === null ? null : Math.abs(reliableChangeIndex) > RELIABLE_CHANGE_Z,
+            flipped: before.preference !== after.preference
+        }];
+    }));
+}
@@ -28,7 +28,8 @@
  *     All questions belonging to a specific dichotomy are collectively used in this
  *     single MLE calculation, aligning directly with the established methodology
  *     for MBTI Form M scoring (MBTI Manual, p. 146). Facets are used for item
- *     construction and theoretical alignment, but are not individually scored.
+ *     construction and theoretical alignment and never enter the dichotomy estimate;
+ *     they can optionally be scored on their own (see 12).
  *
  * 4.  **Reliability of MBTI Form M (from MBTI® Form M Manual Supplement, 2009, Table 7):**
  *     - **Cronbach's Alpha (Internal Consistency):**
@@ -41,6 +42,9 @@
  *       - S-N: .97
  *       - T-F: .94
  *       - J-P: .95
+ *     These describe the published instrument. For the items and parameters shipped
+ *     here, reliability.js computes test information, conditional standard errors and
+ *     marginal reliability, and alpha and KR-20 from collected responses.
  *
  * 5.  **`scoreKey` Notation for Response Direction:**
  *     The `questions.json` file is expected to contain a `scoreKey` (1 or 0) for each
@@ -74,76 +78,124 @@
  *     on empirical data that shows this improves agreement with individuals'
  *     self-reported 'best-fit' type. The E-I midpoint is not adjusted.
  *
+ * 10. **Standard Errors and Confidence Intervals:**
+ *     The test information accumulated during Newton-Raphson (the negative of the
+ *     second derivative of the log-likelihood) is evaluated at the final theta and
+ *     used to report the standard error of each estimate, SE(θ) = 1 / sqrt(I(θ)).
+ *     From it we derive a symmetric confidence interval (95% by default, configurable
+ *     through the `confidenceLevel` option of `calculateResults`) and the probability,
+ *     under a normal approximation, that the respondent's true preference lies on the
+ *     pole opposite to the reported one. This tells a "Slight" or "Moderate" result
+ *     apart from one that is merely imprecise.
+ *
+ * 11. **Alternative Estimators (EAP and MAP):**
+ *     The MLE has no finite solution when every answered item of a dichotomy is keyed
+ *     towards the same pole; it then stops at the [-3, 3] clamp, so all such respondents
+ *     share a PCI of 30. `calculateResults` can instead use Expected A Posteriori
+ *     (quadrature-based posterior mean) or Maximum A Posteriori (posterior mode)
+ *     estimation under a configurable normal prior, selected through its `estimator`
+ *     and `prior` options. Both give finite, distinguishable scores for all-keyed
+ *     patterns and remain stable when many items are omitted. MLE stays the default.
+ *
+ * 12. **Facet Scoring (optional):**
+ *     Every item in `questions.json` is tagged with one of 20 facets named after their
+ *     two poles, positive pole first (e.g. "Gregarious / Intimate" for E-I). When the
+ *     `facets` option is set, each facet is scored from its own items. Facets hold
+ *     between one and ten items, too few for a finite MLE, so facet thetas are always
+ *     estimated by EAP under the configured prior and mapped onto a -5 to +5 scale on
+ *     which the scoring profile's maxTheta is 5 (positive values favour the first-named
+ *     pole). Scores of -1 to +1 are flagged as "midzone"; the rest are "in-preference"
+ *     when they lean the same way as the reported preference of their dichotomy and
+ *     "out-of-preference" otherwise.
+ *
+ * 13. **Person Fit and Response Validity:**
+ *     A theta estimate is only meaningful if the response pattern is plausible under the
+ *     2PL model. For each dichotomy the standardized log-likelihood lz (Drasgow, Levine &
+ *     Williams, 1985) is computed at the estimated theta; values below -1.96 mark the
+ *     pattern as improbable. Independently of the model, the raw sequence of chosen options
+ *     is checked for straight-lining (nearly always the same option letter) and for
+ *     mechanical alternation (A, B, A, B, ...). The overall `validity` flag is cleared when
+ *     either pattern is detected or when two or more dichotomies misfit.
+ *
+ * 14. **Instruments:**
+ *     The items, item parameters, dichotomies and facet names are not fixed in this
+ *     module but declared per instrument in `instruments.js`. `calculateResults` scores
+ *     Form M unless another registered instrument is passed through its `instrument`
+ *     option, and reports the id and version of the instrument it used.
+ *
+ * 15. **Scoring Profiles and Rule Trace:**
+ *     The rules of 7-9 (the theta-to-PCI scaling, PCC cut-points, tie-breakers and
+ *     midpoint adjustments) are data: a scoring profile declared with each instrument,
+ *     whose default for Form M reproduces the manual. Alternative rules can be tried by
+ *     passing a `scoringProfile` option, whose fields replace those of the default. Every
+ *     result lists the profile used and a `scoringTrace` of the rules that fired for each
+ *     dichotomy (e.g. "T-F midpoint adjustment applied: T→F"), so a flipped or capped
+ *     preference can be audited.
+ *
  * This module provides the psychometric backbone for deriving accurate MBTI
  * preferences, reflecting rigorous adherence to established IRT principles
  * and the specific characteristics of the MBTI Form M.
  */
 
-import { itemParameters } from './itemParameterMatrix.js';
+import { checkScoringProfile, getDichotomyItemIndices, getInstrument } from './instruments.js';
+import { normalCdf, normalQuantile } from './statistics.js';
+
+// Version of the scoring logic, recorded with every saved result (see resultRecord.js).
+// Bump it whenever a change here or in statistics.js can change a score for the same answers,
+// and add it to ENGINE_VERSIONS.
+export const ENGINE_VERSION = '1.0';
+
+// Every engine version ever released, oldest first; the last is ENGINE_VERSION. Results
+// scored by an earlier one are still accepted for review (see submissionValidator.js).
+export const ENGINE_VERSIONS = ['1.0'];
 
 // --- Model Configuration ---
-// This config is now only needed for the FINAL scoring step (tie-breaking and preference assignment),
-// not for the core MLE loop.
-const DICHOTOMY_CONFIG = {
-    'E-I': { poles: ['E', 'I'], tieBreaker: 'I' },
-    'S-N': { poles: ['S', 'N'], tieBreaker: 'N' },
-    'T-F': { poles: ['T', 'F'], tieBreaker: 'F' },
-    'J-P': { poles: ['J', 'P'], tieBreaker: 'P' }
-};
-
-// --- Pre-computation for efficiency ---
-const dichotomyToQuestionMap = new Map();
-for (const [index, params] of Object.entries(itemParameters)) {
-    const dichotomyName = params.dichotomy;
-    if (!dichotomyToQuestionMap.has(dichotomyName)) {
-        dichotomyToQuestionMap.set(dichotomyName, []);
-    }
-    dichotomyToQuestionMap.get(dichotomyName).push(parseInt(index, 10));
-}
+// Dichotomies come from the instrument and the PCI, PCC, tie-breaking and midpoint rules
+// from its scoring profile (see instruments.js); only instrument-independent constants
+// live here.
+const FACET_SCALE_MAX = 5;
+const FACET_MIDZONE = 1;
+
+const PERSON_FIT_CUTOFF = -1.96;
+const MISFIT_DICHOTOMIES_FOR_INVALID = 2;
+const PATTERN_MIN_ANSWERS = 20;
+const STRAIGHT_LINING_SHARE = 0.9;
+const ALTERNATION_RATE = 0.9;
 
 /**
  * Calculates the probability of a '1' response (positive pole) for a given item
  * using the 2-Parameter Logistic (2PL) IRT model.
  * P(θ) = 1 / (1 + e^(-a * (θ - b)))
  */
-function probability(theta, a, b) {
+export function probability(theta, a, b) {
     return 1 / (1 + Math.exp(-a * (theta - b)));
 }
 
 /**
- * Converts a PCI score to a qualitative category.
+ * Finds the PCC cut-point a PCI score falls into. Cut-points are ordered from the
+ * highest category down; the returned cut-point carries the category name.
  */
-function getPccCategory(pci) {
-    if (pci >= 26) return "Very Clear";
-    if (pci >= 16) return "Clear";
-    if (pci >= 6) return "Moderate";
-    return "Slight";
+function getPccCutPoint(pci, cutPoints) {
+    return cutPoints.find(({ minPci }) => pci >= minPci) || cutPoints[cutPoints.length - 1];
 }
 
 /**
- * Estimates the latent trait (theta) for a single dichotomy using Maximum Likelihood Estimation (MLE).
- *
- * This function implements the Newton-Raphson optimization algorithm to find the value of theta
- * that maximizes the log-likelihood function shown in the manual:
- *   ln l(u|θ) = Σ [uᵢ * ln(Pᵢ) + (1 - uᵢ) * ln(1 - Pᵢ)]
- *
- * To maximize this function, we find where its first derivative is zero. Newton-Raphson
- * requires both the first and second derivatives of the log-likelihood function.
+ * Collects the answered items among `questionIndices` together with their 2PL parameters
+ * and the respondent's keyed response (u), ready for any of the estimators below.
  */
-function findBestThetaForDichotomy(dichotomyName, answers, allQuestions) {
-    const allDichotomyIndices = dichotomyToQuestionMap.get(dichotomyName) || [];
-    const answeredQuestionIndices = allDichotomyIndices.filter(qIndex => answers[qIndex + 1]);
-
-    if (answeredQuestionIndices.length === 0) {
-        return 0; // Return neutral theta for no answers.
-    }
+function getKeyedItems(questionIndices, answers, questions, itemParameters) {
+    const answeredQuestionIndices = questionIndices.filter(qIndex => answers[qIndex + 1]);
 
-    // Prepare items with their parameters and the user's keyed response (u)
-    const items = answeredQuestionIndices.map(qIndex => {
+    return answeredQuestionIndices.map(qIndex => {
         const params = itemParameters[qIndex];
         const answer = answers[qIndex + 1];
-        const questionData = allQuestions.MBTI_Form_M[qIndex];
-        const userScoreKey = questionData.options[answer.choice].scoreKey;
+        const questionData = questions[qIndex];
+        const option = questionData && questionData.options ? questionData.options[answer.choice] : undefined;
+        if (!option) {
+            // itemBankValidator.js catches this at load time; this guards callers that skip it.
+            throw new RangeError(`Question ${qIndex + 1} has no option "${answer.choice}" to score; the item bank does not match itemParameterMatrix.js.`);
+        }
+        const userScoreKey = option.scoreKey;
 
         return {
             a: params.params.a, // Item discrimination
@@ -151,6 +203,37 @@ function findBestThetaForDichotomy(dichotomyName, answers, allQuestions) {
             u: userScoreKey      // User's response (1 or 0)
         };
     });
+}
+
+/**
+ * Test information of a set of items at theta: I(θ) = Σ a² * P * Q
+ */
+export function testInformation(theta, items) {
+    let information = 0.0;
+    for (const { a, b } of items) {
+        const P = probability(theta, a, b);
+        information += a * a * P * (1 - P);
+    }
+    return information;
+}
+
+/**
+ * Estimates the latent trait (theta) for a single dichotomy using Maximum Likelihood Estimation (MLE).
+ *
+ * This function implements the Newton-Raphson optimization algorithm to find the value of theta
+ * that maximizes the log-likelihood function shown in the manual:
+ *   ln l(u|θ) = Σ [uᵢ * ln(Pᵢ) + (1 - uᵢ) * ln(1 - Pᵢ)]
+ *
+ * To maximize this function, we find where its first derivative is zero. Newton-Raphson
+ * requires both the first and second derivatives of the log-likelihood function.
+ *
+ * Returns the estimate together with the test information at that estimate, from which
+ * the standard error is derived. Information is 0 when no items were answered.
+ */
+function findBestThetaForDichotomy(items) {
+    if (items.length === 0) {
+        return { theta: 0, information: 0 }; // Return neutral theta for no answers.
+    }
 
     // Newton-Raphson settings
     const maxIterations = 20;
@@ -193,18 +276,357 @@ function findBestThetaForDichotomy(dichotomyName, answers, allQuestions) {
         }
     }
 
-    return theta;
+    return { theta, information: testInformation(theta, items) };
 }
 
+/**
+ * Estimates theta by Maximum A Posteriori (MAP): the mode of the posterior formed by the
+ * likelihood above and a normal prior N(mean, sd²).
+ *
+ * The prior adds -(θ - μ) / σ² to the gradient and -1 / σ² to the Hessian, which keeps the
+ * log-posterior strictly concave, so Newton-Raphson converges to a finite value even for
+ * all-keyed response patterns. With no answered items the estimate is the prior mean.
+ * The returned information is the posterior information, I(θ) + 1 / σ².
+ */
+function findMapThetaForDichotomy(items, prior) {
+    const { mean, sd } = prior;
+    const priorPrecision = 1 / (sd * sd);
+
+    const maxIterations = 50;
+    const tolerance = 0.0001;
+    let theta = mean;
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+        let firstDerivative = -(theta - mean) * priorPrecision;
+        let secondDerivative = -priorPrecision;
+
+        for (const { a, b, u } of items) {
+            const P = probability(theta, a, b);
+            firstDerivative += a * (u - P);
+            secondDerivative += -a * a * P * (1 - P);
+        }
+
+        const delta = firstDerivative / secondDerivative;
+        theta -= delta;
+        if (Math.abs(delta) < tolerance) {
+            break; // Converged
+        }
+    }
+
+    return { theta, information: testInformation(theta, items) + priorPrecision };
+}
+
+/**
+ * Estimates theta by Expected A Posteriori (EAP): the mean of the posterior under a normal
+ * prior N(mean, sd²), integrated numerically over equally spaced quadrature nodes spanning
+ * ±4 prior standard deviations.
+ *
+ * The posterior standard deviation plays the role of the standard error, so the returned
+ * information is its inverse variance. With no answered items the estimate is the prior mean.
+ */
+function findEapThetaForDichotomy(items, prior, quadraturePoints) {
+    const { mean, sd } = prior;
+    if (items.length === 0) {
+        return { theta: mean, information: 1 / (sd * sd) }; // The posterior is the prior.
+    }
+
+    const nodes = [];
+    const logWeights = [];
+
+    for (let k = 0; k < quadraturePoints; k++) {
+        const node = mean - 4 * sd + (8 * sd * k) / (quadraturePoints - 1);
+        const z = (node - mean) / sd;
+        let logWeight = -0.5 * z * z; // Log prior density (up to a constant)
+
+        for (const { a, b, u } of items) {
+            const P = probability(node, a, b);
+            logWeight += u === 1 ? Math.log(P) : Math.log(1 - P);
+        }
+
+        nodes.push(node);
+        logWeights.push(logWeight);
+    }
+
+    // Normalize in log space to avoid underflow on long response patterns
+    const maxLogWeight = Math.max(...logWeights);
+    const weights = logWeights.map(w => Math.exp(w - maxLogWeight));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    let theta = 0.0;
+    for (let k = 0; k < quadraturePoints; k++) {
+        theta += nodes[k] * weights[k];
+    }
+    theta /= totalWeight;
+
+    let variance = 0.0;
+    for (let k = 0; k < quadraturePoints; k++) {
+        variance += (nodes[k] - theta) ** 2 * weights[k];
+    }
+    variance /= totalWeight;
+
+    return { theta, information: 1 / variance };
+}
+
+/**
+ * Dispatches to the estimator selected in the options of `calculateResults`.
+ */
+function estimateTheta(items, { estimator, prior, quadraturePoints }) {
+    switch (estimator) {
+        case 'EAP':
+            return findEapThetaForDichotomy(items, prior, quadraturePoints);
+        case 'MAP':
+            return findMapThetaForDichotomy(items, prior);
+        default:
+            return findBestThetaForDichotomy(items);
+    }
+}
+
+/**
+ * Derives the standard error, confidence interval and opposite-pole probability
+ * for a dichotomy estimate. `positivePole` is true when the reported preference
+ * is the positive pole (E, S, T, J).
+ */
+function summarizePrecision(theta, information, confidenceLevel, positivePole) {
+    if (!(information > 0)) {
+        return { standardError: null, confidenceInterval: null, oppositePoleProbability: 0.5 };
+    }
+
+    const standardError = 1 / Math.sqrt(information);
+    const z = normalQuantile(1 - (1 - confidenceLevel) / 2);
+    const oppositePoleProbability = positivePole
+        ? normalCdf(-theta / standardError)
+        : normalCdf(theta / standardError);
+
+    return {
+        standardError: parseFloat(standardError.toFixed(2)),
+        confidenceInterval: {
+            level: confidenceLevel,
+            lower: parseFloat((theta - z * standardError).toFixed(2)),
+            upper: parseFloat((theta + z * standardError).toFixed(2))
+        },
+        oppositePoleProbability: parseFloat(oppositePoleProbability.toFixed(3))
+    };
+}
+
+
+/**
+ * Computes the standardized log-likelihood person-fit statistic lz at theta:
+ *   l0 = Σ [uᵢ * ln(Pᵢ) + (1 - uᵢ) * ln(Qᵢ)]
+ *   E(l0) = Σ [Pᵢ * ln(Pᵢ) + Qᵢ * ln(Qᵢ)]
+ *   Var(l0) = Σ Pᵢ * Qᵢ * [ln(Pᵢ / Qᵢ)]²
+ *   lz = (l0 - E(l0)) / sqrt(Var(l0))
+ * Large negative values indicate a pattern that is unlikely given the estimate.
+ * Returns a null lz when fewer than two items were answered.
+ */
+function computePersonFit(theta, items) {
+    if (items.length < 2) {
+        return { lz: null, misfit: false };
+    }
+
+    let logLikelihood = 0.0;
+    let expected = 0.0;
+    let variance = 0.0;
+    for (const { a, b, u } of items) {
+        const P = probability(theta, a, b);
+        const Q = 1 - P;
+        logLikelihood += u === 1 ? Math.log(P) : Math.log(Q);
+        expected += P * Math.log(P) + Q * Math.log(Q);
+        variance += P * Q * Math.log(P / Q) ** 2;
+    }
+
+    if (!(variance > 0)) {
+        return { lz: null, misfit: false };
+    }
+
+    const lz = (logLikelihood - expected) / Math.sqrt(variance);
+    return { lz: parseFloat(lz.toFixed(2)), misfit: lz < PERSON_FIT_CUTOFF };
+}
+
+/**
+ * Looks for model-free signs of careless responding in the sequence of chosen options:
+ * straight-lining (the same option letter almost every time) and mechanical alternation
+ * (the option letter changing between almost every pair of consecutive answered items).
+ * Patterns are only judged once enough items have been answered.
+ */
+function detectResponsePattern(answers, questions) {
+    const choices = questions.map((_, qIndex) => answers[qIndex + 1]?.choice ?? null);
+    const answered = choices.filter(choice => choice !== null);
+
+    const optionCounts = {};
+    for (const choice of answered) {
+        optionCounts[choice] = (optionCounts[choice] || 0) + 1;
+    }
+    const [dominantOption = null, dominantCount = 0] = Object.entries(optionCounts)
+        .sort(([, countA], [, countB]) => countB - countA)[0] || [];
+
+    let pairs = 0;
+    let switches = 0;
+    for (let i = 1; i < choices.length; i++) {
+        if (choices[i] === null || choices[i - 1] === null) continue;
+        pairs++;
+        if (choices[i] !== choices[i - 1]) switches++;
+    }
+
+    const sameOptionShare = answered.length ? dominantCount / answered.length : 0;
+    const alternationRate = pairs ? switches / pairs : 0;
+    const judged = answered.length >= PATTERN_MIN_ANSWERS;
+
+    return {
+        answeredCount: answered.length,
+        dominantOption,
+        sameOptionShare: parseFloat(sameOptionShare.toFixed(2)),
+        alternationRate: parseFloat(alternationRate.toFixed(2)),
+        straightLining: judged && sameOptionShare >= STRAIGHT_LINING_SHARE,
+        alternating: judged && alternationRate >= ALTERNATION_RATE
+    };
+}
+
+/**
+ * Combines the pattern detector and the per-dichotomy person-fit results into an
+ * overall validity verdict with the reasons that triggered it.
+ */
+function assessValidity(responsePattern, dichotomyResults) {
+    const misfitDichotomies = Object.keys(dichotomyResults)
+        .filter(dichotomy => dichotomyResults[dichotomy].personFit.misfit);
+
+    const flags = [];
+    if (responsePattern.straightLining) flags.push('straight-lining');
+    if (responsePattern.alternating) flags.push('alternating');
+    if (misfitDichotomies.length >= MISFIT_DICHOTOMIES_FOR_INVALID) flags.push('person-misfit');
+
+    return {
+        isValid: flags.length === 0,
+        flags,
+        misfitDichotomies,
+        responsePattern
+    };
+}
+
+/**
+ * Scores every facet tagged in the question set and classifies it against the reported
+ * preference of its dichotomy. Returns the facets grouped by dichotomy, in item order.
+ */
+function scoreFacets(answers, questions, dichotomyResults, estimation, instrument, profile) {
+    const facetToQuestionMap = new Map();
+    questions.forEach((question, qIndex) => {
+        if (!question.facet) return;
+        if (!facetToQuestionMap.has(question.facet)) {
+            facetToQuestionMap.set(question.facet, { dichotomy: question.dichotomy, indices: [] });
+        }
+        facetToQuestionMap.get(question.facet).indices.push(qIndex);
+    });
+
+    const facetResults = {};
+    const positivePoles = {};
+    for (const { name, poles } of instrument.dichotomies) {
+        facetResults[name] = [];
+        positivePoles[name] = poles[0];
+    }
+
+    for (const [facetName, { dichotomy, indices }] of facetToQuestionMap) {
+        const [positivePole, negativePole] = facetName.split(' / ');
+        const items = getKeyedItems(indices, answers, questions, instrument.itemParameters);
+        const { theta } = findEapThetaForDichotomy(items, estimation.prior, estimation.quadraturePoints);
+
+        const rawScore = Math.round((theta / profile.maxTheta) * FACET_SCALE_MAX);
+        const score = Math.max(-FACET_SCALE_MAX, Math.min(FACET_SCALE_MAX, rawScore)) || 0;
+
+        let status;
+        if (Math.abs(score) <= FACET_MIDZONE) {
+            status = 'midzone';
+        } else {
+            const prefersPositivePole = dichotomyResults[dichotomy].preference === positivePoles[dichotomy];
+            status = (score > 0) === prefersPositivePole ? 'in-preference' : 'out-of-preference';
+        }
+
+        facetResults[dichotomy].push({
+            facetName,
+            poles: [positivePole, negativePole],
+            pole: score > 0 ? positivePole : score < 0 ? negativePole : null,
+            score,
+            theta: parseFloat(theta.toFixed(2)),
+            status,
+            itemCount: indices.length,
+            answeredCount: items.length
+        });
+    }
+
+    return facetResults;
+}
+
+const ESTIMATORS = ['MLE', 'EAP', 'MAP'];
 
 /**
  * Main function to calculate MBTI results.
+ *
+ * Options:
+ * - confidenceLevel: coverage of the reported theta confidence interval (default 0.95).
+ * - estimator: 'MLE' (default), 'EAP' or 'MAP'.
+ * - prior: normal prior { mean, sd } used by EAP and MAP (default { mean: 0, sd: 1 }).
+ * - quadraturePoints: number of EAP quadrature nodes (default 61).
+ * - facets: when true, also score the facets tagged in the question set (default false).
+ * - instrument: the instrument definition from instruments.js to score against
+ *   (default Form M). Its items are read from `allQuestions[instrument.questionsKey]`.
+ * - scoringProfile: fields replacing those of the instrument's scoring profile, e.g.
+ *   { id: 'no-midpoint', midpointAdjustments: [] } to score without midpoint
+ *   adjustments (default none). Throws a RangeError when the result is inconsistent.
  */
-export function calculateResults(answers, allQuestions) {
+export function calculateResults(answers, allQuestions, options = {}) {
+    const {
+        confidenceLevel = 0.95,
+        estimator = 'MLE',
+        prior = {},
+        quadraturePoints = 61,
+        facets = false,
+        instrument = getInstrument(),
+        scoringProfile = {}
+    } = options;
+    const { mean: priorMean = 0, sd: priorSd = 1 } = prior;
+
+    if (!(confidenceLevel > 0 && confidenceLevel < 1)) {
+        throw new RangeError(`confidenceLevel must be between 0 and 1, got ${confidenceLevel}.`);
+    }
+    if (!ESTIMATORS.includes(estimator)) {
+        throw new RangeError(`Unknown estimator "${estimator}". Expected one of ${ESTIMATORS.join(', ')}.`);
+    }
+    if (!Number.isFinite(priorMean) || !(priorSd > 0)) {
+        throw new RangeError(`prior must have a finite mean and a positive sd, got mean ${priorMean}, sd ${priorSd}.`);
+    }
+    if (!Number.isInteger(quadraturePoints) || quadraturePoints < 2) {
+        throw new RangeError(`quadraturePoints must be an integer of at least 2, got ${quadraturePoints}.`);
+    }
+
+    // Tie-breakers merge per dichotomy; any other field replaces the default outright.
+    // An unnamed override is labelled so results never claim the default profile.
+    const baseProfile = instrument.scoringProfile;
+    const profile = {
+        ...baseProfile,
+        ...scoringProfile,
+        id: scoringProfile.id || (Object.keys(scoringProfile).length > 0 ? `${baseProfile.id}-modified` : baseProfile.id),
+        tieBreakers: { ...baseProfile.tieBreakers, ...scoringProfile.tieBreakers }
+    };
+    const profileProblems = checkScoringProfile(profile, instrument);
+    if (profileProblems.length > 0) {
+        throw new RangeError(`Invalid scoring profile: ${profileProblems.join(' ')}`);
+    }
+
+    const questions = allQuestions ? allQuestions[instrument.questionsKey] : undefined;
+    if (!Array.isArray(questions)) {
+        throw new RangeError(`No "${instrument.questionsKey}" item array was given for instrument "${instrument.id}".`);
+    }
+
+    const estimation = { estimator, prior: { mean: priorMean, sd: priorSd }, quadraturePoints };
+    const dichotomyItemIndices = getDichotomyItemIndices(instrument);
     const dichotomyResults = {};
+    const scoringTrace = [];
+    const traceRule = (dichotomy, rule, message, details) => {
+        scoringTrace.push({ dichotomy, rule, message, details });
+    };
 
-    for (const [dichotomy, config] of Object.entries(DICHOTOMY_CONFIG)) {
-        const theta = findBestThetaForDichotomy(dichotomy, answers, allQuestions);
+    for (const config of instrument.dichotomies) {
+        const dichotomy = config.name;
+        const items = getKeyedItems(dichotomyItemIndices.get(dichotomy) || [], answers, questions, instrument.itemParameters);
+        const { theta, information } = estimateTheta(items, estimation);
 
         const [pole1, pole2] = config.poles;
         let preference;
@@ -217,37 +639,60 @@ export function calculateResults(answers, allQuestions) {
             preference = pole2;
         } else {
             // Apply tie-breaker for theta == 0
-            preference = config.tieBreaker;
+            preference = profile.tieBreakers[dichotomy];
+            traceRule(dichotomy, 'tie-breaker', `${dichotomy} tie-breaker applied: θ = 0 → ${preference}`, { to: preference });
         }
 
         // Step 2: Calculate Preference Clarity Index (PCI) and Category (PCC).
-        const maxTheta = 3.0;
-        const rawPciCalculation = (Math.abs(theta) / maxTheta) * 30;
-        const pci = theta === 0 ? 1 : Math.max(1, Math.round(rawPciCalculation));
-        const pcc = getPccCategory(pci);
-
-        // Step 3: Apply Midpoint Adjustments (as per MBTI Manual Third Edition, p. 149).
-        // This empirically-derived adjustment reclassifies preferences for certain
-        // very low PCI scores to improve agreement with 'best-fit' type.
-        if (dichotomy === 'S-N' && preference === 'S' && pci === 1) {
-            preference = 'N';
-        } else if (dichotomy === 'T-F' && preference === 'T' && pci <= 2) {
-            preference = 'F';
-        } else if (dichotomy === 'J-P' && preference === 'J' && pci === 1) {
-            preference = 'P';
+        const { maxTheta, pciMax } = profile;
+        const rawPciCalculation = Math.round((Math.abs(theta) / maxTheta) * pciMax);
+        const pci = theta === 0 ? 1 : Math.min(pciMax, Math.max(1, rawPciCalculation));
+        if (rawPciCalculation > pciMax) {
+            traceRule(dichotomy, 'pci-cap', `${dichotomy} PCI capped at ${pciMax}: |θ| = ${Math.abs(theta).toFixed(2)} exceeds maxTheta ${maxTheta}`, { rawPci: rawPciCalculation, pci });
         }
+        const cutPoint = getPccCutPoint(pci, profile.pccCutPoints);
+        const pcc = cutPoint.category;
+        traceRule(dichotomy, 'pcc', `${dichotomy} PCC: PCI ${pci} ≥ ${cutPoint.minPci} → ${pcc}`, { pci, minPci: cutPoint.minPci, category: pcc });
+
+        // Step 3: Apply the profile's midpoint adjustments (for Form M, as per MBTI
+        // Manual Third Edition, p. 149). This empirically-derived adjustment reclassifies
+        // preferences for certain very low PCI scores to improve agreement with 'best-fit' type.
+        const adjustment = (profile.midpointAdjustments || []).find(rule =>
+            rule.dichotomy === dichotomy && rule.from === preference && pci <= rule.maxPci);
+        if (adjustment) {
+            preference = adjustment.to;
+            traceRule(dichotomy, 'midpoint-adjustment', `${dichotomy} midpoint adjustment applied: ${adjustment.from}→${adjustment.to} (PCI ${pci} ≤ ${adjustment.maxPci})`, { from: adjustment.from, to: adjustment.to, pci, maxPci: adjustment.maxPci });
+        }
+
+        // Step 4: Quantify the precision of the estimate relative to the final preference.
+        const precision = summarizePrecision(theta, information, confidenceLevel, preference === pole1);
 
-        // Step 4: Assemble final result object for the dichotomy.
+        // Step 5: Check how plausible the response pattern is at the estimate.
+        const personFit = computePersonFit(theta, items);
+
+        // Step 6: Assemble final result object for the dichotomy.
         dichotomyResults[dichotomy] = {
             preference,
             pci,
             pcc,
             theta: parseFloat(theta.toFixed(2)),
+            ...precision,
+            personFit,
             dichotomyName: dichotomy
         };
     }
 
-    return {
-        dichotomyResults
+    const results = {
+        dichotomyResults,
+        estimator,
+        instrument: { id: instrument.id, version: instrument.version },
+        scoringProfile: profile.id,
+        scoringTrace,
+        validity: assessValidity(detectResponsePattern(answers, questions), dichotomyResults)
     };
+    if (facets) {
+        results.facetResults = scoreFacets(answers, questions, dichotomyResults, estimation, instrument, profile);
+    }
+
+    return results;
 }
\ No newline at end of file
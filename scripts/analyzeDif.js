@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * scripts/analyzeDif.js: Checks the items for differential functioning across groups
+ *
+ * Runs the Mantel-Haenszel and logistic regression DIF analyses of dif.js on a file of
+ * response sets (see responseFile.js for the layouts) and writes a CSV with one row per
+ * item and focal group:
+ *
+ *     node scripts/analyzeDif.js --group <field> [options] <responses.csv | responses.jsonl>
+ *
+ *     --group <field>           CSV column or JSON property holding the group, e.g. locale
+ *     --bands <x,y,...>         treat the group as a number and split it at these values,
+ *                               e.g. --group age --bands 13,16 gives "under 13",
+ *                               "13 to under 16" and "16 and over"
+ *     --reference <group>       reference group (default: the largest group)
+ *     --min-group-size <n>      respondents a group needs to be analyzed (default 50)
+ *     --form <id>               instrument (default: the default instrument)
+ *     --questions <path>        item bank to read (default: the instrument's questionsFile)
+ *     --input-format <fmt>      csv or jsonl (default: from the file extension)
+ *     --output <path>           where to write the report (default: standard output)
+ *
+ * The group sizes and the flagged items (class B or C by either method) go to standard
+ * error. Respondents without a group, or with a value outside the bands, are left out.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { analyzeDif } from '../dif.js';
+import { formatCsv } from '../responseFile.js';
+import { fail, loadInstrument, numberOption, parseArguments, readResponseFile, resolveFormat } from './cli.js';
+
+const USAGE = 'Usage: node scripts/analyzeDif.js --group field [--bands x,y] [--reference group] [--min-group-size n] [--form id] [--questions path] [--input-format csv|jsonl] [--output path] <responses file>';
+const FLAGS = ['--group', '--bands', '--reference', '--min-group-size', '--form', '--questions', '--input-format', '--output'];
+
+function parseBands(text) {
+    const cuts = text.split(',').map(value => Number(value.trim()));
+    if (cuts.some(cut => !Number.isFinite(cut)) || cuts.some((cut, i) => i > 0 && cut <= cuts[i - 1])) {
+        fail(`--bands must be increasing numbers separated by commas, got "${text}".`);
+    }
+    return cuts;
+}
+
+function bandOf(value, cuts) {
+    const number = Number(value);
+    if (value === undefined || value.trim() === '' || !Number.isFinite(number)) return null;
+    const index = cuts.findIndex(cut => number < cut);
+    if (index === 0) return `under ${cuts[0]}`;
+    if (index < 0) return `${cuts[cuts.length - 1]} and over`;
+    return `${cuts[index - 1]} to under ${cuts[index]}`;
+}
+
+function round(value, digits) {
+    return value === null || value === undefined ? null : Number(value.toFixed(digits));
+}
+
+function reportCsv(items) {
+    const header = ['item', 'dichotomy', 'reference', 'focal', 'n_reference', 'n_focal',
+        'mh_alpha', 'mh_d_dif', 'mh_se', 'mh_chi_square', 'mh_p', 'mh_class',
+        'lr_chi_square', 'lr_p', 'lr_uniform_p', 'lr_nonuniform_p', 'lr_group_effect', 'lr_delta_r2', 'lr_class', 'flag'];
+    const rows = items.map(({ number, dichotomy, reference, focal, respondents, mh, lr, flag }) => [
+        number, dichotomy, reference, focal, respondents.reference, respondents.focal,
+        round(mh.alpha, 4), round(mh.dDif, 3), round(mh.standardError, 3), round(mh.chiSquare, 3), round(mh.p, 4), mh.class,
+        round(lr.chiSquare, 3), round(lr.p, 4), round(lr.uniformP, 4), round(lr.nonUniformP, 4), round(lr.groupEffect, 3), round(lr.deltaR2, 4), lr.class,
+        flag
+    ]);
+    return formatCsv(header, rows);
+}
+
+const { flags, positional: [inputPath] } = parseArguments(process.argv.slice(2), FLAGS, USAGE);
+if (!flags.group) fail(`--group is required.\n${USAGE}`);
+const { instrument, questions } = await loadInstrument(flags);
+const inputFormat = resolveFormat(flags['input-format'], inputPath, null, '--input-format');
+const cuts = flags.bands ? parseBands(flags.bands) : null;
+const minGroupSize = numberOption(flags, 'min-group-size', 50, { min: 2, integer: true });
+
+const records = await readResponseFile(inputPath, inputFormat, instrument, questions, [flags.group]);
+records.filter(record => record.error).forEach(record => {
+    console.error(`Skipping line ${record.line} (id ${record.id}): ${record.error}`);
+});
+
+const groupOf = record => {
+    const value = record.fields[flags.group];
+    if (cuts) return bandOf(value, cuts);
+    return value === undefined || value.trim() === '' ? null : value.trim();
+};
+
+let analysis;
+try {
+    analysis = analyzeDif(records, questions, instrument, { groupOf, reference: flags.reference, minGroupSize });
+} catch (error) {
+    fail(error.message);
+}
+
+console.error(`Groups by ${flags.group}: ${analysis.groups.map(({ name, respondents }) => `${name} (${respondents})`).join(', ')}; reference: ${analysis.reference}`);
+if (analysis.skippedGroups.length > 0) {
+    console.error(`Too small to analyze (under ${minGroupSize}): ${analysis.skippedGroups.map(({ name }) => name).join(', ')}`);
+}
+for (const { focal, dichotomies } of analysis.comparisons) {
+    for (const [name, summary] of Object.entries(dichotomies)) {
+        const notes = [];
+        if (summary.incomplete > 0) notes.push(`${summary.incomplete} with unanswered items left out`);
+        if (summary.purifiedItems.length > 0) notes.push(`item${summary.purifiedItems.length > 1 ? 's' : ''} ${summary.purifiedItems.join(', ')} dropped from the matching score`);
+        if (summary.skipped) notes.push('not analyzed, too few complete respondents');
+        if (notes.length > 0) console.error(`${focal}, ${name}: ${notes.join('; ')}`);
+    }
+}
+const flagged = analysis.items.filter(item => item.flag !== 'A');
+if (flagged.length === 0) {
+    console.error('No item shows moderate or large DIF.');
+} else {
+    console.error(`Items with moderate (B) or large (C) DIF:`);
+    flagged.forEach(({ number, dichotomy, focal, mh, lr, flag }) => console.error(
+        `  - item ${number} (${dichotomy}), ${focal}: ${flag}; MH D-DIF ${mh.dDif === null ? 'n/a' : mh.dDif.toFixed(2)} (${mh.class ?? 'n/a'}), LR ΔR² ${lr.deltaR2.toFixed(3)} (${lr.class})`));
+}
+
+const report = reportCsv(analysis.items);
+if (flags.output) {
+    await writeFile(flags.output, report);
+} else {
+    process.stdout.write(report);
+}
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * scripts/calibrateItems.js: Re-estimates an instrument's item parameters from responses
+ *
+ * Calibrates the 2PL parameters on a file of response sets (see responseFile.js for
+ * the layouts, e.g. an export of the `results` table) with
+ * calibration.js, and writes them as a module in the format of itemParameterMatrix.js:
+ *
+ *     node scripts/calibrateItems.js [options] <responses.csv | responses.jsonl>
+ *
+ *     --form <id>               instrument to calibrate (default: the default instrument)
+ *     --questions <path>        item bank to read (default: the instrument's questionsFile)
+ *     --input-format <fmt>      csv or jsonl (default: from the file extension)
+ *     --min-responses <n>       answers an item needs to be recalibrated (default 100)
+ *     --max-iterations <n>      EM cycles per dichotomy (default 500)
+ *     --tolerance <x>           largest parameter change at convergence (default 0.0001)
+ *     --output <path>           where to write the parameter matrix (default: standard output)
+ *     --report <path>           also write a CSV with, per item, the new and previous
+ *                               parameters, their standard errors and the item fit
+ *
+ * A summary per dichotomy and the items to review (held at a bound, not recalibrated,
+ * RMSD above 0.1 or Q1 p below 0.01) go to standard error. Review the report before
+ * replacing itemParameterMatrix.js, and bump the instrument's version when you do.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { ITEM_STATUS, calibrateItems, formatParameterMatrix } from '../calibration.js';
+import { formatCsv } from '../responseFile.js';
+import { fail, loadInstrument, numberOption, parseArguments, readResponseFile, resolveFormat } from './cli.js';
+
+const USAGE = 'Usage: node scripts/calibrateItems.js [--form id] [--questions path] [--input-format csv|jsonl] [--min-responses n] [--max-iterations n] [--tolerance x] [--output path] [--report path] <responses file>';
+const FLAGS = ['--form', '--questions', '--input-format', '--min-responses', '--max-iterations', '--tolerance', '--output', '--report'];
+
+const RMSD_MISFIT = 0.1;
+const Q1_MISFIT_P = 0.01;
+
+function round(value, digits) {
+    return value === null || value === undefined ? null : Number(value.toFixed(digits));
+}
+
+function reportCsv(items) {
+    const header = ['item', 'dichotomy', 'responses', 'status', 'a', 'se_a', 'b', 'se_b', 'previous_a', 'previous_b', 'rmsd', 'q1_chi_square', 'q1_df', 'q1_p'];
+    const rows = items.map(item => [
+        item.number,
+        item.dichotomy,
+        item.responses,
+        item.status,
+        round(item.params.a, 4),
+        item.standardErrors && round(item.standardErrors.a, 4),
+        round(item.params.b, 4),
+        item.standardErrors && round(item.standardErrors.b, 4),
+        item.previous.a,
+        item.previous.b,
+        round(item.fit.rmsd, 4),
+        item.fit.q1 && round(item.fit.q1.chiSquare, 2),
+        item.fit.q1 && item.fit.q1.df,
+        item.fit.q1 && round(item.fit.q1.p, 4)
+    ]);
+    return formatCsv(header, rows);
+}
+
+function reviewReasons(item) {
+    const reasons = [];
+    if (item.status === ITEM_STATUS.atBound) reasons.push('held at a parameter bound');
+    if (item.status === ITEM_STATUS.tooFewResponses) reasons.push(`only ${item.responses} responses, kept its parameters`);
+    if (item.fit.rmsd !== null && item.fit.rmsd > RMSD_MISFIT) reasons.push(`RMSD ${item.fit.rmsd.toFixed(3)}`);
+    if (item.fit.q1 && item.fit.q1.p < Q1_MISFIT_P) reasons.push(`Q1 = ${item.fit.q1.chiSquare.toFixed(1)} (df ${item.fit.q1.df}, p ${item.fit.q1.p.toExponential(1)})`);
+    return reasons;
+}
+
+const { flags, positional: [inputPath] } = parseArguments(process.argv.slice(2), FLAGS, USAGE);
+const { instrument, questions } = await loadInstrument(flags);
+const inputFormat = resolveFormat(flags['input-format'], inputPath, null, '--input-format');
+const options = {
+    minResponses: numberOption(flags, 'min-responses', 100, { min: 1, integer: true }),
+    maxIterations: numberOption(flags, 'max-iterations', 500, { min: 1, integer: true }),
+    tolerance: numberOption(flags, 'tolerance', 1e-4, { positive: true })
+};
+
+const records = await readResponseFile(inputPath, inputFormat, instrument, questions);
+records.filter(record => record.error).forEach(record => {
+    console.error(`Skipping line ${record.line} (id ${record.id}): ${record.error}`);
+});
+
+const calibration = calibrateItems(records, questions, instrument, options);
+if (calibration.respondents === 0) {
+    fail(`${inputPath} has no usable response sets.`);
+}
+
+for (const [name, summary] of Object.entries(calibration.dichotomies)) {
+    console.error(`${name}: ${summary.respondents} respondents, ${summary.iterations} EM iterations${summary.converged ? '' : ' (not converged)'}, log-likelihood ${summary.logLikelihood.toFixed(1)}`);
+}
+const toReview = calibration.items.map(item => ({ item, reasons: reviewReasons(item) })).filter(({ reasons }) => reasons.length > 0);
+if (toReview.length > 0) {
+    console.error(`Items to review before adopting the new parameters:`);
+    toReview.forEach(({ item, reasons }) => console.error(`  - item ${item.number} (${item.dichotomy}): ${reasons.join('; ')}`));
+}
+
+const matrix = formatParameterMatrix(calibration.itemParameters, [
+    `Instrument: ${instrument.id}, calibrated from ${calibration.respondents} response sets in ${inputPath.split(/[\\/]/).pop()}`,
+    `on ${new Date().toISOString().slice(0, 10)}. Items with fewer than ${options.minResponses} responses keep the`,
+    `parameters of ${instrument.id} v${instrument.version}.`
+]);
+if (flags.output) {
+    await writeFile(flags.output, matrix);
+} else {
+    process.stdout.write(matrix);
+}
+if (flags.report) {
+    await writeFile(flags.report, reportCsv(calibration.items));
+}
+if (Object.values(calibration.dichotomies).some(summary => !summary.converged)) {
+    console.error('Calibration did not converge for every dichotomy; consider a larger --max-iterations.');
+    process.exitCode = 1;
+}
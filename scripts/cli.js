@@ -0,0 +1,127 @@
+/**
+ * scripts/cli.js: Shared plumbing for the scripts
+ *
+ * Option parsing, loading the instrument with its validated item bank and reading a
+ * response file (see responseFile.js). Every helper reports a problem on standard error and exits with
+ * status 1, so the scripts themselves only deal with their own options.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_INSTRUMENT_ID, getInstrument } from '../instruments.js';
+import { validateItemBank } from '../itemBankValidator.js';
+import { RESPONSE_FORMATS, readResponses } from '../responseFile.js';
+
+const EXTENSION_FORMATS = { '.csv': 'csv', '.jsonl': 'jsonl', '.ndjson': 'jsonl' };
+
+export function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+/**
+ * Splits the arguments into the values of the given `--flag value` options and the
+ * positional arguments, of which there must be exactly `positionalCount`.
+ */
+export function parseArguments(args, flagNames, usage, positionalCount = 1) {
+    const flags = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (flagNames.includes(args[i])) {
+            if (i + 1 >= args.length) fail(`${args[i]} needs a value.\n${usage}`);
+            flags[args[i].slice(2)] = args[++i];
+        } else if (args[i].startsWith('--')) {
+            fail(`Unknown option ${args[i]}.\n${usage}`);
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    if (positional.length !== positionalCount) fail(usage);
+    return { flags, positional };
+}
+
+/**
+ * Parses a numeric option, failing unless it is a number of at least `min`, or above 0
+ * when `positive` is set, and an integer when `integer` is set. Returns `fallback` when
+ * the option was not given.
+ */
+export function numberOption(flags, name, fallback, { min = -Infinity, positive = false, integer = false } = {}) {
+    if (flags[name] === undefined) return fallback;
+    const value = Number(flags[name]);
+    if (!Number.isFinite(value) || value < min || (positive && !(value > 0)) || (integer && !Number.isInteger(value))) {
+        const kind = integer ? 'integer' : 'number';
+        const requirement = positive ? `a positive ${kind}` : `${integer ? 'an' : 'a'} ${kind} of at least ${min}`;
+        fail(`--${name} must be ${requirement}, got "${flags[name]}".`);
+    }
+    return value;
+}
+
+/**
+ * Picks a response file format from an explicit option, else from the extension of
+ * `path`, else `fallback`.
+ */
+export function resolveFormat(format, path, fallback, flag) {
+    const resolved = format || EXTENSION_FORMATS[extname(path || '').toLowerCase()] || fallback;
+    if (!RESPONSE_FORMATS.includes(resolved)) {
+        fail(resolved
+            ? `${flag} must be one of ${RESPONSE_FORMATS.join(', ')}, got "${resolved}".`
+            : `Cannot tell the format of ${path} from its extension; pass ${flag}.`);
+    }
+    return resolved;
+}
+
+export async function readJsonFile(path, what) {
+    try {
+        return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        return fail(`Could not read ${what} ${path}: ${error.message}`);
+    }
+}
+
+/**
+ * Loads the instrument named by --form (default: the default instrument) and the item
+ * bank given by --questions (default: the instrument's own questionsFile), and fails
+ * with every problem `validateItemBank` finds in the bank. Returns
+ * { instrument, questionData, questions }.
+ */
+export async function loadInstrument(flags) {
+    let instrument;
+    try {
+        instrument = getInstrument(flags.form || DEFAULT_INSTRUMENT_ID);
+    } catch (error) {
+        fail(error.message);
+    }
+    const questionsPath = flags.questions || fileURLToPath(new URL(`../${instrument.questionsFile}`, import.meta.url));
+    const questionData = await readJsonFile(questionsPath, 'item bank');
+    const { valid, errors } = validateItemBank(questionData, instrument);
+    if (!valid) {
+        fail(`${questionsPath} has ${errors.length} problem(s):\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    return { instrument, questionData, questions: questionData[instrument.questionsKey] };
+}
+
+/**
+ * Reads a response file for an instrument and returns its records. CSV columns that are
+ * neither items, the id nor one of `usedColumns` are reported as ignored on standard
+ * error; records that could not be read keep their `error` for the caller to report.
+ */
+export async function readResponseFile(path, format, instrument, questions, usedColumns = []) {
+    let text;
+    try {
+        text = await readFile(path, 'utf8');
+    } catch (error) {
+        fail(`Could not read ${path}: ${error.message}`);
+    }
+    let parsed;
+    try {
+        parsed = readResponses(text, format, instrument, questions.length);
+    } catch (error) {
+        fail(`${path}: ${error.message}`);
+    }
+    const ignoredColumns = parsed.otherColumns.filter(column => !usedColumns.includes(column));
+    if (ignoredColumns.length > 0) {
+        console.error(`Ignoring columns that are not items: ${ignoredColumns.join(', ')}`);
+    }
+    return parsed.records;
+}
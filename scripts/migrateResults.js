@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * scripts/migrateResults.js: Converts stored results to result records
+ *
+ * Rows of the `results` table saved before result records existed hold only the
+ * compacted `raw_answers` list. This script reads an export of such rows as JSON lines
+ * (one row per line, with its `id`), turns each into a record with `migrateLegacyResult`
+ * (see resultRecord.js) and writes either SQL that fills the `result_record` column (jsonb) or
+ * the records themselves:
+ *
+ *     node scripts/migrateResults.js [options] <results.jsonl>
+ *
+ *     --form <id>             instrument of rows without instrument_id (default: the
+ *                             default instrument)
+ *     --questions <path>      item bank to read (default: the instrument's questionsFile)
+ *     --format <fmt>          sql (one UPDATE per row) or jsonl ({ id, result_record } per
+ *                             row) (default: from the --output extension, otherwise sql)
+ *     --output <path>         where to write the migration (default: standard output)
+ *
+ * Rows that already have a `result_record` are left alone. A row that cannot be migrated
+ * is reported on standard error and left out; the script then exits with status 1 after
+ * writing every other row. Unanswered items of rows without a recorded administration
+ * become "unknown", so rescoring treats them as omitted without claiming they were shown.
+ *
+ * The column itself comes from supabase/migrations/20261019002200_add_results_result_record.sql;
+ * the SQL output adds it too when missing, so it can be run against a database that has
+ * not had the migrations applied yet.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { migrateLegacyResult } from '../resultRecord.js';
+import { fail, loadInstrument, parseArguments } from './cli.js';
+
+const USAGE = 'Usage: node scripts/migrateResults.js [--form id] [--questions path] [--format sql|jsonl] [--output path] <results.jsonl>';
+const FLAGS = ['--form', '--questions', '--format', '--output'];
+const OUTPUT_FORMATS = ['sql', 'jsonl'];
+
+function sqlLiteral(value) {
+    return typeof value === 'number' ? String(value) : `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function toSql(migrated) {
+    const statements = migrated.map(({ id, record }) =>
+        `update results set result_record = ${sqlLiteral(JSON.stringify(record))}::jsonb where id = ${sqlLiteral(id)} and result_record is null;`);
+    return `begin;\nalter table results add column if not exists result_record jsonb;\n${statements.join('\n')}\ncommit;\n`;
+}
+
+const { flags, positional } = parseArguments(process.argv.slice(2), FLAGS, USAGE);
+const { instrument, questions } = await loadInstrument(flags);
+const format = (flags.format || (extname(flags.output || '').toLowerCase() === '.jsonl' ? 'jsonl' : 'sql')).toLowerCase();
+if (!OUTPUT_FORMATS.includes(format)) {
+    fail(`--format must be one of ${OUTPUT_FORMATS.join(', ')}, got "${flags.format}".`);
+}
+
+let text;
+try {
+    text = await readFile(positional[0], 'utf8');
+} catch (error) {
+    fail(`Could not read ${positional[0]}: ${error.message}`);
+}
+
+const migrated = [];
+let skipped = 0;
+let failures = 0;
+text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((content, index) => {
+    if (content.trim() === '') return;
+    const line = index + 1;
+    try {
+        let row;
+        try {
+            row = JSON.parse(content);
+        } catch (error) {
+            throw new RangeError(`Not valid JSON (${error.message}).`);
+        }
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            throw new RangeError('Expected a JSON object.');
+        }
+        if (row.id === undefined || row.id === null) {
+            throw new RangeError('The row has no id to update.');
+        }
+        if (row.result_record) {
+            skipped++;
+            return;
+        }
+        migrated.push({ id: row.id, record: migrateLegacyResult(row, instrument, questions.length) });
+    } catch (error) {
+        failures++;
+        console.error(`Line ${line}: ${error.message}`);
+    }
+});
+
+const output = format === 'jsonl'
+    ? migrated.map(({ id, record }) => JSON.stringify({ id, result_record: record })).join('\n') + (migrated.length > 0 ? '\n' : '')
+    : toSql(migrated);
+if (flags.output) {
+    await writeFile(flags.output, output);
+} else {
+    process.stdout.write(output);
+}
+console.error(`Migrated ${migrated.length} rows${skipped > 0 ? `, skipped ${skipped} that already have a result record` : ''}${failures > 0 ? `, ${failures} could not be migrated` : ''}.`);
+if (failures > 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * scripts/reliabilityReport.js: Documents the measurement precision of the item bank
+ *
+ * Computes, per dichotomy, the test information and conditional standard error curves
+ * and the marginal reliability from the instrument's 2PL parameters and, when a response
+ * file is given (see responseFile.js for the layouts), Cronbach's alpha, KR-20 and item
+ * statistics from the collected answers (see reliability.js):
+ *
+ *     node scripts/reliabilityReport.js [options]
+ *
+ *     --responses <path>        response file for alpha and KR-20 (default: none)
+ *     --input-format <fmt>      csv or jsonl (default: from the file extension)
+ *     --theta-min <x>           lowest theta of the curves (default -3)
+ *     --theta-max <x>           highest theta of the curves (default 3)
+ *     --theta-step <x>          spacing of the curves (default 0.1)
+ *     --format <fmt>            html or json (default: from the --output extension, else html)
+ *     --form <id>               instrument (default: the default instrument)
+ *     --questions <path>        item bank to read (default: the instrument's questionsFile)
+ *     --output <path>           where to write the report (default: standard output)
+ *
+ * The HTML report is a standalone page with the summary table, the curves as inline SVG
+ * and the item statistics; the JSON report holds the full results of reliability.js.
+ * A one-line summary per dichotomy goes to standard error.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { DEFAULT_THETA_GRID, analyzeReliability } from '../reliability.js';
+import { fail, loadInstrument, numberOption, parseArguments, readResponseFile, resolveFormat } from './cli.js';
+
+const USAGE = 'Usage: node scripts/reliabilityReport.js [--responses path] [--input-format csv|jsonl] [--theta-min x] [--theta-max x] [--theta-step x] [--format html|json] [--form id] [--questions path] [--output path]';
+const FLAGS = ['--responses', '--input-format', '--theta-min', '--theta-max', '--theta-step', '--format', '--form', '--questions', '--output'];
+const REPORT_FORMATS = ['html', 'json'];
+
+// One colour per dichotomy, in the order of instrument.dichotomies.
+const CURVE_COLOURS = ['#1f5f8b', '#b5651d', '#2e7d32', '#8e244d'];
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
+}
+
+function fixed(value, digits) {
+    return value === null || value === undefined ? 'n/a' : value.toFixed(digits);
+}
+
+/**
+ * Line chart of one quantity of the curves, one line per dichotomy, as inline SVG.
+ */
+function renderChart(title, curves, names, key) {
+    const width = 560;
+    const height = 260;
+    const margin = { top: 16, right: 16, bottom: 36, left: 48 };
+    const points = names.flatMap(name => curves[name]).filter(point => point[key] !== null);
+    const thetas = points.map(point => point.theta);
+    const minTheta = Math.min(...thetas);
+    const maxTheta = Math.max(...thetas);
+    const maxValue = Math.max(...points.map(point => point[key]));
+    const x = theta => margin.left + ((theta - minTheta) / (maxTheta - minTheta)) * (width - margin.left - margin.right);
+    const y = value => height - margin.bottom - (value / maxValue) * (height - margin.top - margin.bottom);
+
+    const lines = names.map((name, i) => {
+        const path = curves[name]
+            .filter(point => point[key] !== null)
+            .map((point, k) => `${k === 0 ? 'M' : 'L'}${x(point.theta).toFixed(1)},${y(point[key]).toFixed(1)}`)
+            .join(' ');
+        return `<path d="${path}" fill="none" stroke="${CURVE_COLOURS[i % CURVE_COLOURS.length]}" stroke-width="2"><title>${escapeHtml(name)}</title></path>`;
+    });
+    const xTicks = [];
+    for (let theta = Math.ceil(minTheta); theta <= maxTheta; theta++) {
+        xTicks.push(`<text x="${x(theta).toFixed(1)}" y="${height - margin.bottom + 16}" text-anchor="middle">${theta}</text>`);
+    }
+    const yTicks = [0, 0.5, 1].map(share => `<text x="${margin.left - 6}" y="${(y(share * maxValue) + 4).toFixed(1)}" text-anchor="end">${fixed(share * maxValue, 1)}</text>`);
+    const legend = names.map((name, i) => `<span><i style="background: ${CURVE_COLOURS[i % CURVE_COLOURS.length]}"></i>${escapeHtml(name)}</span>`).join(' ');
+
+    return `<figure>
+<figcaption>${escapeHtml(title)}</figcaption>
+<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${escapeHtml(title)}">
+<line x1="${margin.left}" y1="${height - margin.bottom}" x2="${width - margin.right}" y2="${height - margin.bottom}" stroke="#999"/>
+<line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}" stroke="#999"/>
+${xTicks.join('\n')}
+${yTicks.join('\n')}
+<text x="${(width + margin.left) / 2}" y="${height - 4}" text-anchor="middle">θ</text>
+${lines.join('\n')}
+</svg>
+<div class="legend">${legend}</div>
+</figure>`;
+}
+
+function renderTable(header, rows) {
+    const head = header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('');
+    const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+    return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+function renderHtml(report, names, source) {
+    const { instrument, dichotomies, curves, consistency } = report;
+    const summaryRows = names.map(name => {
+        const { items, marginalReliability, peak } = dichotomies[name];
+        const row = [name, items, fixed(marginalReliability, 3), fixed(peak.theta, 2), fixed(peak.information, 2), fixed(1 / Math.sqrt(peak.information), 3)];
+        if (consistency) {
+            const { respondents, alpha, kr20 } = consistency[name];
+            row.push(respondents, fixed(alpha, 3), fixed(kr20, 3));
+        }
+        return row;
+    });
+    const summaryHeader = ['Dichotomy', 'Items', 'Marginal reliability', 'Peak θ', 'Peak information', 'Lowest SE'];
+    if (consistency) summaryHeader.push('Complete respondents', 'Alpha', 'KR-20');
+
+    const itemSections = consistency ? names.map(name => `<h3>${escapeHtml(name)}</h3>
+${renderTable(['Item', 'Positive pole', 'Corrected item-total r', 'Alpha if deleted'], consistency[name].items.map(item => [
+        item.number, fixed(item.positiveShare, 3), fixed(item.itemTotalCorrelation, 3), fixed(item.alphaIfDeleted, 3)
+    ]))}`).join('\n') : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Measurement precision: ${escapeHtml(instrument.id)} ${escapeHtml(instrument.version)}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; color: #222; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; }
+        table { border-collapse: collapse; margin: 1rem 0; }
+        th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: right; }
+        th:first-child, td:first-child { text-align: left; }
+        figure { margin: 1.5rem 0; }
+        figcaption { font-weight: bold; margin-bottom: 0.5rem; }
+        svg text { font-size: 11px; fill: #555; }
+        .legend span { margin-right: 1rem; }
+        .legend i { display: inline-block; width: 1rem; height: 0.2rem; margin-right: 0.3rem; vertical-align: middle; }
+    </style>
+</head>
+<body>
+<h1>Measurement precision: ${escapeHtml(instrument.id)} ${escapeHtml(instrument.version)}</h1>
+<p>Marginal reliability, information and standard errors follow from the 2PL item parameters for a standard normal population.${consistency
+        ? ` Alpha and KR-20 are computed from ${escapeHtml(source)}, counting respondents who answered every item of the dichotomy.`
+        : ' No responses were given, so alpha and KR-20 are not reported.'}</p>
+${renderTable(summaryHeader, summaryRows)}
+${renderChart('Test information', curves, names, 'information')}
+${renderChart('Conditional standard error of θ', curves, names, 'standardError')}
+${consistency ? `<h2>Item statistics</h2>\n${itemSections}` : ''}
+</body>
+</html>
+`;
+}
+
+const { flags } = parseArguments(process.argv.slice(2), FLAGS, USAGE, 0);
+const { instrument, questions } = await loadInstrument(flags);
+const format = (flags.format || (extname(flags.output || '').toLowerCase() === '.json' ? 'json' : 'html')).toLowerCase();
+if (!REPORT_FORMATS.includes(format)) {
+    fail(`--format must be one of ${REPORT_FORMATS.join(', ')}, got "${flags.format}".`);
+}
+const grid = {
+    min: numberOption(flags, 'theta-min', DEFAULT_THETA_GRID.min),
+    max: numberOption(flags, 'theta-max', DEFAULT_THETA_GRID.max),
+    step: numberOption(flags, 'theta-step', DEFAULT_THETA_GRID.step, { positive: true })
+};
+
+let records = null;
+if (flags.responses) {
+    const inputFormat = resolveFormat(flags['input-format'], flags.responses, null, '--input-format');
+    records = await readResponseFile(flags.responses, inputFormat, instrument, questions);
+    records.filter(record => record.error).forEach(record => {
+        console.error(`Skipping line ${record.line} (id ${record.id}): ${record.error}`);
+    });
+}
+
+let report;
+try {
+    report = analyzeReliability(questions, instrument, { grid, records });
+} catch (error) {
+    fail(error.message);
+}
+
+const names = instrument.dichotomies.map(({ name }) => name);
+for (const name of names) {
+    const { items, marginalReliability } = report.dichotomies[name];
+    let line = `${name}: ${items} items, marginal reliability ${marginalReliability.toFixed(3)}`;
+    if (report.consistency) {
+        const { respondents, incomplete, alpha } = report.consistency[name];
+        line += `; alpha ${fixed(alpha, 3)} from ${respondents} complete respondents${incomplete > 0 ? ` (${incomplete} with unanswered items left out)` : ''}`;
+    }
+    console.error(line);
+}
+
+const output = format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : renderHtml(report, names, flags.responses);
+if (flags.output) {
+    await writeFile(flags.output, output);
+} else {
+    process.stdout.write(output);
+}
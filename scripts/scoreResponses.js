@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * scripts/scoreResponses.js: Scores a file of response sets in bulk
+ *
+ * Reads response sets outside the browser quiz, e.g. transcribed paper answer sheets or
+ * an export of the `results` table, scores each with `calculateResults` and writes one
+ * row per respondent with the reported type and, per dichotomy, the preference, theta,
+ * standard error, PCI and PCC. See responseFile.js for the accepted file layouts.
+ *
+ *     node scripts/scoreResponses.js [options] <responses.csv | responses.jsonl>
+ *
+ *     --form <id>             instrument to score against (default: the default instrument)
+ *     --questions <path>      item bank to read (default: the instrument's questionsFile)
+ *     --estimator <name>      MLE (default), EAP or MAP
+ *     --profile <path>        JSON file of scoring profile fields replacing the instrument's
+ *                             defaults (see instruments.js), e.g. {"midpointAdjustments": []}
+ *     --input-format <fmt>    csv or jsonl (default: from the file extension)
+ *     --format <fmt>          output as csv or jsonl (default: from the --output extension,
+ *                             otherwise csv); jsonl rows also carry the scoring trace
+ *     --output <path>         where to write the scores (default: standard output)
+ *
+ * A respondent who cannot be read or scored still gets a row, with the reason in its
+ * `error` field; the script then exits with status 1 after writing every other row. The
+ * repository has no package.json, so Node must detect the ES module syntax itself: Node
+ * 22.7+ does so by default, older versions need --experimental-detect-module.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { formatCsv } from '../responseFile.js';
+import { calculateResults } from '../scorer.js';
+import { fail, loadInstrument, parseArguments, readJsonFile, readResponseFile, resolveFormat } from './cli.js';
+
+const USAGE = 'Usage: node scripts/scoreResponses.js [--form id] [--questions path] [--estimator MLE|EAP|MAP] [--profile path] [--input-format csv|jsonl] [--format csv|jsonl] [--output path] <responses file>';
+const FLAGS = ['--form', '--questions', '--estimator', '--profile', '--input-format', '--format', '--output'];
+
+function scoreRecord(record, questionData, scoringOptions, instrument) {
+    const row = { id: record.id, answered: Object.keys(record.answers).length, error: record.error };
+    if (record.error) {
+        return row;
+    }
+    try {
+        const results = calculateResults(record.answers, questionData, scoringOptions);
+        row.type = instrument.dichotomies.map(({ name }) => results.dichotomyResults[name].preference).join('');
+        row.dichotomies = results.dichotomyResults;
+        row.valid = results.validity.isValid;
+        row.validityFlags = results.validity.flags;
+        row.scoringProfile = results.scoringProfile;
+        row.scoringTrace = results.scoringTrace;
+    } catch (error) {
+        row.error = error.message;
+    }
+    return row;
+}
+
+function toCsv(rows, instrument, estimator) {
+    const dichotomyNames = instrument.dichotomies.map(({ name }) => name);
+    const header = ['id', 'type', 'answered', 'valid', 'validity_flags', 'estimator', 'scoring_profile'];
+    for (const name of dichotomyNames) {
+        header.push(`${name}_preference`, `${name}_theta`, `${name}_se`, `${name}_pci`, `${name}_pcc`);
+    }
+    header.push('error');
+
+    const values = rows.map(row => {
+        const values = [row.id, row.type, row.answered, row.valid, row.validityFlags && row.validityFlags.join(' '), estimator, row.scoringProfile];
+        for (const name of dichotomyNames) {
+            const result = row.dichotomies ? row.dichotomies[name] : {};
+            values.push(result.preference, result.theta, result.standardError, result.pci, result.pcc);
+        }
+        values.push(row.error);
+        return values;
+    });
+    return formatCsv(header, values);
+}
+
+function toJsonLines(rows, instrument, estimator) {
+    return rows.map(row => JSON.stringify({
+        id: row.id,
+        type: row.type ?? null,
+        answered: row.answered,
+        valid: row.valid ?? null,
+        validity_flags: row.validityFlags ?? null,
+        instrument_id: instrument.id,
+        instrument_version: instrument.version,
+        estimator,
+        scoring_profile: row.scoringProfile ?? null,
+        dichotomies: row.dichotomies
+            ? Object.fromEntries(Object.entries(row.dichotomies).map(([name, result]) => [name, {
+                preference: result.preference,
+                theta: result.theta,
+                se: result.standardError,
+                pci: result.pci,
+                pcc: result.pcc
+            }]))
+            : null,
+        scoring_trace: row.scoringTrace ?? null,
+        error: row.error ?? null
+    })).join('\n') + '\n';
+}
+
+const { flags, positional: [inputPath] } = parseArguments(process.argv.slice(2), FLAGS, USAGE);
+const { instrument, questionData, questions } = await loadInstrument(flags);
+
+const inputFormat = resolveFormat(flags['input-format'], inputPath, null, '--input-format');
+const outputFormat = resolveFormat(flags.format, flags.output, 'csv', '--format');
+const estimator = flags.estimator ? flags.estimator.toUpperCase() : 'MLE';
+const scoringProfile = flags.profile ? await readJsonFile(flags.profile, 'scoring profile') : {};
+const scoringOptions = { instrument, estimator, scoringProfile };
+
+// Scoring an empty response set checks the estimator and profile once, up front,
+// instead of failing every respondent with the same message.
+try {
+    calculateResults({}, questionData, scoringOptions);
+} catch (error) {
+    fail(error.message);
+}
+
+const records = await readResponseFile(inputPath, inputFormat, instrument, questions);
+const rows = records.map(record => {
+    const row = scoreRecord(record, questionData, scoringOptions, instrument);
+    if (row.error) {
+        console.error(`Line ${record.line} (id ${record.id}): ${row.error}`);
+    }
+    return row;
+});
+
+const output = outputFormat === 'csv' ? toCsv(rows, instrument, estimator) : toJsonLines(rows, instrument, estimator);
+if (flags.output) {
+    await writeFile(flags.output, output);
+} else {
+    process.stdout.write(output);
+}
+
+const failed = rows.filter(row => row.error).length;
+console.error(`Scored ${rows.length - failed} of ${rows.length} response sets with ${instrument.id} v${instrument.version} (${estimator}).`);
+if (failed > 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * scripts/simulateScoring.js: Monte Carlo check of the scorer's accuracy
+ *
+ * Simulates respondents with known preferences (see simulation.js), scores them and
+ * prints, per condition, the bias and RMSE of theta, the agreement of the reported
+ * preferences and whole types with the true ones, how the midpoint adjustments fared,
+ * and agreement by number of omitted items:
+ *
+ *     node scripts/simulateScoring.js [options]
+ *
+ *     --respondents <n>         simulated respondents per condition (default 1000)
+ *     --seed <n>                seed of the random number generator (default 1)
+ *     --theta <spec>            true theta distribution: normal:<mean>,<sd> (default
+ *                               normal:0,1), uniform:<min>,<max> or fixed:<value>
+ *     --omission-rates <list>   per-item omission probabilities, one condition each
+ *                               (default 0), e.g. 0,0.05,0.1,0.2
+ *     --random-rates <list>     per-item random-response probabilities (default 0)
+ *     --estimator <name>        MLE (default), EAP or MAP
+ *     --profile <path>          JSON file of scoring profile fields, as for scoreResponses.js
+ *     --form <id>               instrument (default: the default instrument)
+ *     --questions <path>        item bank to read (default: the instrument's questionsFile)
+ *     --json <path>             also write the full results of every condition as JSON
+ *
+ * Every combination of omission and random-response rate is one condition, simulated
+ * with the same seed so the conditions differ only in the rates.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { runSimulation } from '../simulation.js';
+import { fail, loadInstrument, numberOption, parseArguments, readJsonFile } from './cli.js';
+
+const USAGE = 'Usage: node scripts/simulateScoring.js [--respondents n] [--seed n] [--theta normal:0,1] [--omission-rates list] [--random-rates list] [--estimator MLE|EAP|MAP] [--profile path] [--form id] [--questions path] [--json path]';
+const FLAGS = ['--respondents', '--seed', '--theta', '--omission-rates', '--random-rates', '--estimator', '--profile', '--form', '--questions', '--json'];
+
+function parseTheta(spec) {
+    const match = /^(normal|uniform|fixed):(.+)$/.exec(spec);
+    const values = match ? match[2].split(',').map(Number) : [];
+    if (!match || values.some(value => !Number.isFinite(value)) || values.length !== (match[1] === 'fixed' ? 1 : 2)) {
+        fail(`--theta must be normal:<mean>,<sd>, uniform:<min>,<max> or fixed:<value>, got "${spec}".`);
+    }
+    const [first, second] = values;
+    if (match[1] === 'normal') return { type: 'normal', mean: first, sd: second };
+    if (match[1] === 'uniform') return { type: 'uniform', min: first, max: second };
+    return { type: 'fixed', value: first };
+}
+
+function parseRates(flags, name) {
+    if (flags[name] === undefined) return [0];
+    const rates = flags[name].split(',').map(value => Number(value.trim()));
+    if (rates.some(rate => !(rate >= 0 && rate <= 1))) {
+        fail(`--${name} must be probabilities between 0 and 1 separated by commas, got "${flags[name]}".`);
+    }
+    return rates;
+}
+
+function percent(value) {
+    return value === null ? 'n/a' : `${(100 * value).toFixed(1)}%`;
+}
+
+function table(header, rows) {
+    const widths = header.map((cell, i) => Math.max(cell.length, ...rows.map(row => String(row[i]).length)));
+    return [header, ...rows].map(row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+function describe(result, instrument) {
+    const { omissionRate, randomResponseRate } = result.options;
+    const dichotomyRows = instrument.dichotomies.map(({ name }) => {
+        const { bias, rmse, meanStandardError, agreement, midpointAdjustments: midpoint } = result.dichotomies[name];
+        return [
+            name,
+            bias.toFixed(3),
+            rmse.toFixed(3),
+            meanStandardError === null ? 'n/a' : meanStandardError.toFixed(3),
+            percent(agreement),
+            midpoint.applied === 0 ? '-' : `${midpoint.applied} (${midpoint.incorrect} wrong)`
+        ];
+    });
+    const omissionRows = result.byOmissions.map(bin => [
+        `${bin.omissions.min}-${bin.omissions.max}`,
+        bin.respondents,
+        percent(bin.typeAgreement),
+        ...instrument.dichotomies.map(({ name }) => percent(bin.agreement[name]))
+    ]);
+    return [
+        `Omission rate ${omissionRate}, random-response rate ${randomResponseRate}: ${result.respondents} respondents`,
+        table(['Dichotomy', 'Bias', 'RMSE', 'Mean SE', 'Agreement', 'Midpoint adjustments'], dichotomyRows),
+        `Whole type agreement: ${percent(result.typeAgreement)}; flagged invalid: ${percent(result.flaggedInvalid)}`,
+        'By number of omitted items:',
+        table(['Omitted', 'Respondents', 'Type', ...instrument.dichotomies.map(({ name }) => name)], omissionRows)
+    ].join('\n');
+}
+
+const { flags } = parseArguments(process.argv.slice(2), FLAGS, USAGE, 0);
+const { instrument, questions } = await loadInstrument(flags);
+const baseOptions = {
+    respondents: numberOption(flags, 'respondents', 1000, { min: 1, integer: true }),
+    seed: numberOption(flags, 'seed', 1, { integer: true }),
+    thetaDistribution: flags.theta ? parseTheta(flags.theta) : undefined,
+    scoring: {
+        estimator: flags.estimator ? flags.estimator.toUpperCase() : 'MLE',
+        scoringProfile: flags.profile ? await readJsonFile(flags.profile, 'scoring profile') : {}
+    }
+};
+if (!baseOptions.thetaDistribution) delete baseOptions.thetaDistribution;
+
+const results = [];
+for (const omissionRate of parseRates(flags, 'omission-rates')) {
+    for (const randomResponseRate of parseRates(flags, 'random-rates')) {
+        let result;
+        try {
+            result = runSimulation(questions, instrument, { ...baseOptions, omissionRate, randomResponseRate });
+        } catch (error) {
+            fail(error.message);
+        }
+        results.push(result);
+        console.log(`${describe(result, instrument)}\n`);
+    }
+}
+
+if (flags.json) {
+    await writeFile(flags.json, `${JSON.stringify(results, null, 2)}\n`);
+}
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * scripts/teamReport.js: Team type report of a group of results
+ *
+ * Builds the report of the app's team session (see teamReport.js) from a file, for
+ * facilitators who collect results beforehand:
+ *
+ *     node scripts/teamReport.js [options] <input>
+ *
+ *     --input-format <fmt>      csv (an export of the results table, with its best_fit_type
+ *                               and reported_type columns) or links (one result link or
+ *                               token per line, optionally after a name) (default: csv
+ *                               for .csv files, otherwise links)
+ *     --format <fmt>            html or json (default: from the --output extension, else html)
+ *     --locale <code>           language of the HTML report (default: en)
+ *     --form <id>               instrument (default: the default instrument)
+ *     --questions <path>        item bank the links were taken on (default: the
+ *                               instrument's questionsFile)
+ *     --output <path>           where to write the report (default: standard output)
+ *
+ * The HTML report is the document the app downloads, with print.css inlined; the JSON
+ * report is the object of `buildTeamReport`. Lines or rows that cannot be read are
+ * reported on standard error and left out, and the script then exits with status 1
+ * after writing the report of the others.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, createTranslator } from '../i18n.js';
+import { buildTeamReport, buildTeamReportDocument, memberFromToken, parseTeamEntries, readResultsCsv } from '../teamReport.js';
+import { fail, loadInstrument, parseArguments, readJsonFile } from './cli.js';
+
+const USAGE = 'Usage: node scripts/teamReport.js [--input-format csv|links] [--format html|json] [--locale code] [--form id] [--questions path] [--output path] <input>';
+const FLAGS = ['--input-format', '--format', '--locale', '--form', '--questions', '--output'];
+const INPUT_FORMATS = ['csv', 'links'];
+const REPORT_FORMATS = ['html', 'json'];
+
+function repoFile(path) {
+    return fileURLToPath(new URL(`../${path}`, import.meta.url));
+}
+
+const { flags, positional } = parseArguments(process.argv.slice(2), FLAGS, USAGE);
+const { instrument, questions } = await loadInstrument(flags);
+const inputFormat = (flags['input-format'] || (extname(positional[0]).toLowerCase() === '.csv' ? 'csv' : 'links')).toLowerCase();
+if (!INPUT_FORMATS.includes(inputFormat)) {
+    fail(`--input-format must be one of ${INPUT_FORMATS.join(', ')}, got "${flags['input-format']}".`);
+}
+const format = (flags.format || (extname(flags.output || '').toLowerCase() === '.json' ? 'json' : 'html')).toLowerCase();
+if (!REPORT_FORMATS.includes(format)) {
+    fail(`--format must be one of ${REPORT_FORMATS.join(', ')}, got "${flags.format}".`);
+}
+const locale = flags.locale || DEFAULT_LOCALE;
+if (!SUPPORTED_LOCALES[locale]) {
+    fail(`--locale must be one of ${Object.keys(SUPPORTED_LOCALES).join(', ')}, got "${locale}".`);
+}
+
+let text;
+try {
+    text = await readFile(positional[0], 'utf8');
+} catch (error) {
+    fail(`Could not read ${positional[0]}: ${error.message}`);
+}
+
+let members = [];
+let failures = 0;
+if (inputFormat === 'csv') {
+    let parsed;
+    try {
+        parsed = readResultsCsv(text, instrument);
+    } catch (error) {
+        fail(`${positional[0]}: ${error.message}`);
+    }
+    members = parsed.members;
+    parsed.errors.forEach(({ line, message }) => console.error(`Line ${line}: ${message}`));
+    failures = parsed.errors.length;
+} else {
+    for (const { line, label, token } of parseTeamEntries(text)) {
+        try {
+            members.push(memberFromToken(token, questions, instrument, label));
+        } catch (error) {
+            failures++;
+            console.error(`Line ${line}: ${error.message}`);
+        }
+    }
+}
+
+const report = { ...buildTeamReport(members, instrument), generatedAt: new Date(), locale };
+let output;
+if (format === 'json') {
+    output = `${JSON.stringify(report, null, 2)}\n`;
+} else {
+    const fallbackStrings = await readJsonFile(repoFile(`locales/${DEFAULT_LOCALE}/strings.json`), 'locale');
+    const strings = locale === DEFAULT_LOCALE ? fallbackStrings : await readJsonFile(repoFile(`locales/${locale}/strings.json`), 'locale');
+    const { t } = createTranslator(locale, strings, fallbackStrings, null);
+    output = buildTeamReportDocument(report, t, await readFile(repoFile('print.css'), 'utf8'));
+}
+if (flags.output) {
+    await writeFile(flags.output, output);
+} else {
+    process.stdout.write(output);
+}
+console.error(`Team of ${members.length}: ${report.types.map(({ type, count }) => `${type} ${count}`).join(', ') || 'no types'}${failures > 0 ? `; ${failures} could not be read` : ''}.`);
+if (failures > 0) {
+    process.exitCode = 1;
+}
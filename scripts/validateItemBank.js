@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * scripts/validateItemBank.js: Checks an instrument's item bank against its item parameters
+ *
+ * Runs the same checks app.js performs at load time (see itemBankValidator.js) and exits
+ * with status 1, listing every problem, when the item bank is inconsistent. Run it after
+ * editing the items or parameters of a form:
+ *
+ *     node scripts/validateItemBank.js [options]
+ *
+ *     --form <id>             instrument to check (default: the default instrument)
+ *     --questions <path>      item bank to read (default: the instrument's questionsFile)
+ *
+ * The instrument and item bank are loaded by scripts/cli.js exactly as for the other
+ * scripts, which refuse to run on a bank this script would report. The repository has no
+ * package.json, so Node must detect the ES module syntax itself: Node 22.7+ does so by
+ * default, older versions need --experimental-detect-module.
+ */
+
+import { loadInstrument, parseArguments } from './cli.js';
+
+const USAGE = 'Usage: node scripts/validateItemBank.js [--form id] [--questions path]';
+const FLAGS = ['--form', '--questions'];
+
+const { flags } = parseArguments(process.argv.slice(2), FLAGS, USAGE, 0);
+const { instrument, questions } = await loadInstrument(flags);
+console.log(`Item bank OK: ${instrument.id} v${instrument.version}, ${questions.length} items in ${flags.questions || instrument.questionsFile}.`);
@@ -0,0 +1,236 @@
+/**
+ * simulation.js: Monte Carlo evaluation of how well the scorer recovers preferences
+ *
+ * Simulated respondents are drawn with known ("true") thetas and answer every item by
+ * the instrument's own 2PL parameters, then scored with `calculateResults` exactly like
+ * a real response set. Because the truth is known, the report shows what the scorer
+ * cannot: how far the estimates are off, how often a preference is reported on the
+ * wrong side, what the midpoint adjustments do, and how accuracy falls as items are
+ * omitted or answered at random.
+ *
+ * Per simulated respondent and item:
+ * 1. With probability `omissionRate` the item is left unanswered.
+ * 2. Otherwise, with probability `randomResponseRate`, A or B is picked at random.
+ * 3. Otherwise the positive pole is chosen with the 2PL probability P(θ) of the item.
+ *
+ * True thetas come from `thetaDistribution`, either one distribution for all
+ * dichotomies or an object keyed by dichotomy name:
+ * { type: 'normal', mean, sd }, { type: 'uniform', min, max } or { type: 'fixed', value }.
+ * The true preference is the positive pole for θ > 0 and the negative pole otherwise.
+ *
+ * The random numbers come from a seeded generator, so a simulation repeats exactly.
+ * The module has no browser or Node dependencies; scripts/simulateScoring.js is the
+ * command-line front end.
+ */
+
+import { getDichotomyItemIndices } from './instruments.js';
+import { calculateResults, probability } from './scorer.js';
+
+export const DEFAULT_SIMULATION_OPTIONS = {
+    respondents: 1000,
+    seed: 1,
+    thetaDistribution: { type: 'normal', mean: 0, sd: 1 },
+    omissionRate: 0,
+    randomResponseRate: 0,
+    omissionBinWidth: 5,
+    scoring: {}
+};
+
+/**
+ * Mulberry32: a small, fast 32-bit generator, plenty for simulation. Returns a function
+ * yielding uniform numbers in [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createThetaSampler(distribution, random) {
+    switch (distribution && distribution.type) {
+        case 'normal': {
+            const { mean = 0, sd = 1 } = distribution;
+            if (!Number.isFinite(mean) || !(sd > 0)) {
+                throw new RangeError(`A normal theta distribution needs a finite mean and a positive sd, got mean ${mean}, sd ${sd}.`);
+            }
+            // Box-Muller; 1 - random() keeps the logarithm finite.
+            return () => mean + sd * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        }
+        case 'uniform': {
+            const { min, max } = distribution;
+            if (!Number.isFinite(min) || !Number.isFinite(max) || !(max > min)) {
+                throw new RangeError(`A uniform theta distribution needs finite min < max, got min ${min}, max ${max}.`);
+            }
+            return () => min + (max - min) * random();
+        }
+        case 'fixed': {
+            const { value } = distribution;
+            if (!Number.isFinite(value)) {
+                throw new RangeError(`A fixed theta distribution needs a finite value, got ${value}.`);
+            }
+            return () => value;
+        }
+        default:
+            throw new RangeError(`Unknown theta distribution ${JSON.stringify(distribution)}. Expected a type of normal, uniform or fixed.`);
+    }
+}
+
+function checkRate(name, rate) {
+    if (!(rate >= 0 && rate <= 1)) {
+        throw new RangeError(`${name} must be between 0 and 1, got ${rate}.`);
+    }
+}
+
+function share(count, total) {
+    return total > 0 ? count / total : null;
+}
+
+/**
+ * Draws one respondent's answers, in the shape `calculateResults` expects, and counts
+ * the omissions.
+ */
+function simulateAnswers(trueThetas, questions, instrument, random, { omissionRate, randomResponseRate }) {
+    const answers = {};
+    let omissions = 0;
+    questions.forEach((question, qIndex) => {
+        if (random() < omissionRate) {
+            omissions++;
+            return;
+        }
+        let keyedPositive;
+        if (random() < randomResponseRate) {
+            keyedPositive = random() < 0.5;
+        } else {
+            const { dichotomy, params } = instrument.itemParameters[qIndex];
+            keyedPositive = random() < probability(trueThetas[dichotomy], params.a, params.b);
+        }
+        const choice = Object.keys(question.options).find(key => question.options[key].scoreKey === (keyedPositive ? 1 : 0));
+        answers[qIndex + 1] = { choice };
+    });
+    return { answers, omissions };
+}
+
+/**
+ * Runs a simulation for the instrument whose item array is `questions`.
+ *
+ * Options (see DEFAULT_SIMULATION_OPTIONS):
+ * - respondents: number of simulated respondents.
+ * - seed: seed of the random number generator.
+ * - thetaDistribution: see above.
+ * - omissionRate, randomResponseRate: per-item probabilities, between 0 and 1.
+ * - omissionBinWidth: width of the omission-count bins of `byOmissions`.
+ * - scoring: options passed on to `calculateResults`, e.g. { estimator: 'EAP' } or
+ *   { scoringProfile: { midpointAdjustments: [] } }.
+ *
+ * Returns { respondents, options, dichotomies, typeAgreement, flaggedInvalid, byOmissions }:
+ * per dichotomy the bias and RMSE of theta, the mean reported standard error, the share
+ * of preferences reported on the true side (`agreement`) and how the midpoint
+ * adjustments fared (`applied`, `correct`, `incorrect`); the share of respondents whose
+ * whole type is right; the share flagged as invalid by the scorer; and type and
+ * per-dichotomy agreement per bin of omitted items.
+ */
+export function runSimulation(questions, instrument, options = {}) {
+    const settings = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+    const { respondents, seed, thetaDistribution, omissionRate, randomResponseRate, omissionBinWidth, scoring } = settings;
+    if (!Number.isInteger(respondents) || respondents < 1) {
+        throw new RangeError(`respondents must be a positive integer, got ${respondents}.`);
+    }
+    if (!Number.isInteger(omissionBinWidth) || omissionBinWidth < 1) {
+        throw new RangeError(`omissionBinWidth must be a positive integer, got ${omissionBinWidth}.`);
+    }
+    checkRate('omissionRate', omissionRate);
+    checkRate('randomResponseRate', randomResponseRate);
+
+    const random = createRandom(seed);
+    const dichotomies = [...getDichotomyItemIndices(instrument).keys()];
+    const poles = Object.fromEntries(instrument.dichotomies.map(({ name, poles: [positive, negative] }) => [name, { positive, negative }]));
+    const samplers = Object.fromEntries(dichotomies.map(name => {
+        const distribution = thetaDistribution && thetaDistribution.type ? thetaDistribution : (thetaDistribution || {})[name];
+        if (!distribution) {
+            throw new RangeError(`thetaDistribution has no distribution for ${name}.`);
+        }
+        return [name, createThetaSampler(distribution, random)];
+    }));
+    const allQuestions = { [instrument.questionsKey]: questions };
+    const scoringOptions = { ...scoring, instrument };
+
+    const totals = Object.fromEntries(dichotomies.map(name => [name, {
+        error: 0, squaredError: 0, standardError: 0, standardErrorCount: 0, agreed: 0,
+        applied: 0, correct: 0, incorrect: 0
+    }]));
+    const bins = new Map();
+    let typeAgreed = 0;
+    let flaggedInvalid = 0;
+
+    for (let j = 0; j < respondents; j++) {
+        const trueThetas = Object.fromEntries(dichotomies.map(name => [name, samplers[name]()]));
+        const { answers, omissions } = simulateAnswers(trueThetas, questions, instrument, random, settings);
+        const results = calculateResults(answers, allQuestions, scoringOptions);
+
+        const bin = Math.floor(omissions / omissionBinWidth);
+        if (!bins.has(bin)) {
+            bins.set(bin, { respondents: 0, typeAgreed: 0, agreed: Object.fromEntries(dichotomies.map(name => [name, 0])) });
+        }
+        const binTotals = bins.get(bin);
+        binTotals.respondents++;
+
+        let allAgreed = true;
+        for (const name of dichotomies) {
+            const result = results.dichotomyResults[name];
+            const truePole = trueThetas[name] > 0 ? poles[name].positive : poles[name].negative;
+            const total = totals[name];
+            const error = result.theta - trueThetas[name];
+            total.error += error;
+            total.squaredError += error * error;
+            if (result.standardError !== null) {
+                total.standardError += result.standardError;
+                total.standardErrorCount++;
+            }
+            if (result.preference === truePole) {
+                total.agreed++;
+                binTotals.agreed[name]++;
+            } else {
+                allAgreed = false;
+            }
+            if (results.scoringTrace.some(entry => entry.dichotomy === name && entry.rule === 'midpoint-adjustment')) {
+                total.applied++;
+                total[result.preference === truePole ? 'correct' : 'incorrect']++;
+            }
+        }
+        if (allAgreed) {
+            typeAgreed++;
+            binTotals.typeAgreed++;
+        }
+        if (!results.validity.isValid) {
+            flaggedInvalid++;
+        }
+    }
+
+    return {
+        respondents,
+        options: { seed, thetaDistribution, omissionRate, randomResponseRate, scoring },
+        dichotomies: Object.fromEntries(dichotomies.map(name => {
+            const total = totals[name];
+            return [name, {
+                bias: total.error / respondents,
+                rmse: Math.sqrt(total.squaredError / respondents),
+                meanStandardError: total.standardErrorCount > 0 ? total.standardError / total.standardErrorCount : null,
+                agreement: total.agreed / respondents,
+                midpointAdjustments: { applied: total.applied, correct: total.correct, incorrect: total.incorrect }
+            }];
+        })),
+        typeAgreement: typeAgreed / respondents,
+        flaggedInvalid: flaggedInvalid / respondents,
+        byOmissions: [...bins].sort(([x], [y]) => x - y).map(([bin, binTotals]) => ({
+            omissions: { min: bin * omissionBinWidth, max: (bin + 1) * omissionBinWidth - 1 },
+            respondents: binTotals.respondents,
+            typeAgreement: share(binTotals.typeAgreed, binTotals.respondents),
+            agreement: Object.fromEntries(dichotomies.map(name => [name, share(binTotals.agreed[name], binTotals.respondents)]))
+        }))
+    };
+}
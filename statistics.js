@@ -0,0 +1,101 @@
+/**
+ * statistics.js: Distribution functions shared by the scorer and the analysis modules
+ *
+ * Plain numerical approximations with no dependencies; each documents its accuracy.
+ */
+
+/**
+ * Standard normal cumulative distribution function Φ(z), using the
+ * Abramowitz & Stegun 7.1.26 approximation of erf (absolute error < 1.5e-7).
+ */
+export function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Inverse of the standard normal CDF, using Acklam's rational approximation
+ * (relative error < 1.2e-9). Used to turn a confidence level into a z multiplier.
+ */
+export function normalQuantile(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        return -normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation, g = 7).
+ */
+function logGamma(x) {
+    const coefficients = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) {
+        return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+    const z = x - 1;
+    let sum = coefficients[0];
+    for (let i = 1; i < coefficients.length; i++) {
+        sum += coefficients[i] / (z + i);
+    }
+    const t = z + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Upper tail of the chi-square distribution, P(X > x) for `df` degrees of freedom, via
+ * the regularized incomplete gamma function (series below a + 1, continued fraction above).
+ */
+export function chiSquareSurvival(x, df) {
+    if (!(x > 0)) return 1;
+    const a = df / 2;
+    const halfX = x / 2;
+    const logPrefix = a * Math.log(halfX) - halfX - logGamma(a);
+
+    if (halfX < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+            term *= halfX / (a + n);
+            sum += term;
+        }
+        return 1 - sum * Math.exp(logPrefix);
+    }
+
+    // Lentz's method for the continued fraction of the upper incomplete gamma function.
+    const tiny = 1e-300;
+    let b = halfX + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < 500; n++) {
+        const an = -n * (n - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return h * Math.exp(logPrefix);
+}
@@ -0,0 +1,180 @@
+/**
+ * submissionQueue.js: Results waiting to be uploaded
+ *
+ * Results are often taken on unreliable connections, and a result whose upload fails
+ * must not be lost. app.js therefore queues every payload in storage (localStorage) before
+ * sending it, and `flushQueue` removes an entry only once save-results has answered for
+ * good: the result was stored, or it was refused (422) and would be refused again.
+ * Anything else (no network, a timeout, a server error) leaves the entry queued for the
+ * next attempt, which app.js makes when the browser comes back online, when the app is
+ * next opened on the device, and on a timer in between.
+ *
+ * A refused result is not thrown away either: it moves to a second store with the
+ * reasons save-results gave, where it stays until whoever runs the session exports it
+ * (`formatRejectedSubmissions`) and removes it (`removeRejected`). save-results accepts
+ * results of earlier versions, so refusals should be rare, but a refused result may still
+ * be recoverable by hand.
+ *
+ * Entries are keyed by the payload's participant token (see consent.js), which
+ * save-results also uses to recognize a retry of a result it already stored, so a result
+ * whose first upload succeeded without its answer arriving is not stored twice.
+ */
+
+export const QUEUE_STORAGE_KEY = 'vte-pending-submissions';
+export const REJECTED_STORAGE_KEY = 'vte-rejected-submissions';
+
+// Bump whenever the shape of a queued entry changes; entries of another version are kept
+// untouched but not sent.
+export const QUEUE_ENTRY_VERSION = 1;
+
+/**
+ * The queued entries, oldest first: { version, token, payload, queuedAt, attempts }.
+ * An unreadable queue reads as empty.
+ */
+export function loadQueue(storage) {
+    return loadEntries(storage, QUEUE_STORAGE_KEY);
+}
+
+/**
+ * The refused entries, oldest first: queue entries with { rejectedAt, reasons } added,
+ * `reasons` being the sentences save-results gave. An unreadable store reads as empty.
+ */
+export function loadRejected(storage) {
+    return loadEntries(storage, REJECTED_STORAGE_KEY);
+}
+
+function loadEntries(storage, key) {
+    try {
+        const entries = JSON.parse(storage.getItem(key) || '[]');
+        return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+        console.warn(`Could not read ${key}:`, error);
+        return [];
+    }
+}
+
+function saveEntries(storage, key, entries) {
+    if (entries.length === 0) {
+        storage.removeItem(key);
+    } else {
+        storage.setItem(key, JSON.stringify(entries));
+    }
+}
+
+function saveQueue(storage, entries) {
+    saveEntries(storage, QUEUE_STORAGE_KEY, entries);
+}
+
+// Rewrites one entry, re-reading the queue first since another tab may have changed it.
+function updateEntry(storage, token, change) {
+    saveQueue(storage, loadQueue(storage).flatMap(entry => {
+        if (entry.token !== token) return [entry];
+        const changed = change(entry);
+        return changed ? [changed] : [];
+    }));
+}
+
+/**
+ * Queues a payload. Returns false when it could not be stored (storage unavailable or
+ * full), in which case the caller can only send it once, directly.
+ */
+export function enqueueSubmission(storage, payload, queuedAt = new Date()) {
+    try {
+        const entries = loadQueue(storage).filter(entry => entry.token !== payload.participant_token);
+        entries.push({ version: QUEUE_ENTRY_VERSION, token: payload.participant_token, payload, queuedAt: queuedAt.toISOString(), attempts: 0 });
+        saveQueue(storage, entries);
+        return true;
+    } catch (error) {
+        console.warn("Could not queue the result for upload:", error);
+        return false;
+    }
+}
+
+/**
+ * How an upload went, from the save-results response (null when no request was made):
+ * "saved", "rejected" (refused for good) or "retry".
+ */
+export function submissionOutcome(response) {
+    if (response && response.ok) return 'saved';
+    if (response && response.status === 422) return 'rejected';
+    return 'retry';
+}
+
+// The sentences a 422 response of save-results gives as its reasons.
+async function rejectionReasons(response) {
+    try {
+        const { error, details } = await response.json();
+        return Array.isArray(details) && details.length > 0 ? details : [error].filter(Boolean);
+    } catch (error) {
+        return [];
+    }
+}
+
+// Moves a refused entry from the queue to the refused store. Returns false, leaving it
+// queued, when the refused store cannot be written.
+function moveToRejected(storage, token, reasons, rejectedAt) {
+    const entry = loadQueue(storage).find(queued => queued.token === token);
+    if (!entry) return true;
+    try {
+        const rejected = loadRejected(storage).filter(other => other.token !== token);
+        rejected.push({ ...entry, attempts: entry.attempts + 1, rejectedAt: rejectedAt.toISOString(), reasons });
+        saveEntries(storage, REJECTED_STORAGE_KEY, rejected);
+    } catch (error) {
+        console.warn("Could not keep a refused result:", error);
+        return false;
+    }
+    updateEntry(storage, token, () => null);
+    return true;
+}
+
+/**
+ * Sends the queued payloads one by one with `send(payload)`, which returns the
+ * save-results response (or null) and may throw on network errors. Refused entries move
+ * to the refused store. Returns the tokens of the results saved and rejected, and how
+ * many entries are still pending.
+ */
+export async function flushQueue(storage, send) {
+    const saved = [];
+    const rejected = [];
+    for (const { version, token, payload } of loadQueue(storage)) {
+        if (version !== QUEUE_ENTRY_VERSION) continue;
+        let response = null;
+        let outcome;
+        try {
+            response = await send(payload);
+            outcome = submissionOutcome(response);
+        } catch (error) {
+            console.warn("Could not upload a queued result:", error);
+            outcome = 'retry';
+        }
+        if (outcome === 'rejected' && !moveToRejected(storage, token, await rejectionReasons(response), new Date())) {
+            outcome = 'retry';
+        }
+        if (outcome === 'retry') {
+            updateEntry(storage, token, entry => ({ ...entry, attempts: entry.attempts + 1 }));
+        } else if (outcome === 'saved') {
+            updateEntry(storage, token, () => null);
+            saved.push(token);
+        } else {
+            rejected.push(token);
+        }
+    }
+    return { saved, rejected, pending: loadQueue(storage).length };
+}
+
+/**
+ * The refused entries as JSON lines, one { token, queuedAt, rejectedAt, reasons, payload }
+ * object per line, for whoever runs the session to pass on.
+ */
+export function formatRejectedSubmissions(entries) {
+    return entries
+        .map(({ token, queuedAt, rejectedAt, reasons, payload }) => `${JSON.stringify({ token, queuedAt, rejectedAt, reasons, payload })}\n`)
+        .join('');
+}
+
+/**
+ * Removes the refused entries with the given tokens, e.g. once they have been exported.
+ */
+export function removeRejected(storage, tokens) {
+    saveEntries(storage, REJECTED_STORAGE_KEY, loadRejected(storage).filter(entry => !tokens.includes(entry.token)));
+}
@@ -0,0 +1,346 @@
+/**
+ * submissionValidator.js: Server-side checks of a submitted result
+ *
+ * The save-results edge function cannot take the browser's word for a result: anybody
+ * can POST to it. `validateSubmission` checks a payload as built by app.js against the
+ * item bank and rescores its answers with scorer.js, so only results the engine itself
+ * would have produced reach the research table. Like itemBankValidator.js it reports
+ * every problem as a readable sentence and has no browser, Node or Deno dependencies.
+ *
+ * Checked:
+ * - `consent` agrees to a consent text for research, `contact` details are only sent
+ *   with consent to store them, and `participant_token` is a participant token (see
+ *   consent.js).
+ * - `result_record` is a well-formed record (see resultRecord.js) of a registered form.
+ *   A fixed administration has every item answered or omitted; an adaptive one may also
+ *   have items not administered.
+ * - The answers, rescored with the instrument's scoring profile and the estimator app.js
+ *   uses for the administration (MLE for the fixed form, EAP for adaptive), give the
+ *   record's estimator, scoring profile and thetas, and the `reported_type`: the same
+ *   preference, PCI and PCC per dichotomy, and theta and standard error within rounding
+ *   (THETA_TOLERANCE).
+ * - `best_fit_type` has one pole per dichotomy, in reporting order, and differs from
+ *   the rescored preference only where the respondent was asked to verify it, i.e.
+ *   where the preference clarity is the lowest category of the scoring profile
+ *   (Slight for Form M).
+ * - `locale` is a supported locale (see i18n.js), and `response_timing` has exactly the
+ *   fields of app.js's summary, with counts and durations within their bounds. Results
+ *   sent before either was recorded may leave them out. The survey answers
+ *   `enjoys_frameworks` and `wants_in_schools` are true, false or null.
+ * - `retest`, when sent, names the earlier result by its result token (see
+ *   resultToken.js). Its scores and comparison are not taken from the payload but rebuilt
+ *   from the token, as app.js builds them; a token of an earlier item bank cannot be
+ *   rescored, so only the token and its date are kept.
+ *
+ * Results queued offline, or sent by a page loaded before a release, may have been taken
+ * under an earlier consent text, form version, item bank or engine version. They are
+ * accepted rather than lost: the answers are rescored by the current engine, whose scores
+ * are stored, and the result carries review flags (REVIEW_FLAGS) saying what differed.
+ * For such a result scores that differ from the rescoring are expected, so they add the
+ * flag "rescore-differs" instead of refusing it. Only released versions count as earlier
+ * ones (CONSENT_VERSIONS, the instrument's releases and ENGINE_VERSIONS); any other is
+ * refused, and so is a best-fit type the rescoring does not allow, whatever the versions.
+ */
+
+import { ENGINE_VERSION, ENGINE_VERSIONS, calculateResults } from './scorer.js';
+import { INSTRUMENTS, verifiedClarity } from './instruments.js';
+import { CONSENT_VERSION, PARTICIPANT_TOKEN_PATTERN, checkConsent } from './consent.js';
+import { ADMINISTRATION_ESTIMATORS, checkResultRecord, hashQuestionSet, recordAnswers } from './resultRecord.js';
+import { SUPPORTED_LOCALES } from './i18n.js';
+import { decodeResultToken } from './resultToken.js';
+import { compareResults } from './retest.js';
+
+// Estimates travel rounded to two decimals; browsers may also differ in the last bits of Math.exp.
+export const THETA_TOLERANCE = 0.01;
+
+// Why an accepted result needs a second look, stored with it as { code, message }.
+export const REVIEW_FLAGS = ['consent-version', 'form-version', 'question-set', 'engine-version', 'rescore-differs'];
+
+// The fields of app.js's response timing summary. A session can be resumed, so its
+// durations are only bounded by how long the browser keeps it.
+const RESPONSE_TIMING_FIELDS = ['total_ms', 'answered_count', 'median_latency_ms', 'fast_response_count', 'answer_changes', 'speeded'];
+const MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Result tokens hold two bits per item; this bounds them well above any registered form.
+const MAX_RESULT_TOKEN_LENGTH = 1000;
+// Dates as app.js stores them, from Date.prototype.toISOString.
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isClose(value, expected) {
+    return expected === null
+        ? value === null
+        : typeof value === 'number' && Math.abs(value - expected) <= THETA_TOLERANCE;
+}
+
+function flag(code, message) {
+    return { code, message };
+}
+
+// The ways a record differs from what the current site would have produced. A form
+// version, item bank or engine version that was never released cannot have come from the
+// site and is added to `errors` instead; checkConsent refuses unknown consent versions.
+function versionFlags(payload, record, instrument, questions, errors) {
+    const { form } = record;
+    const flags = [];
+    if (payload.consent.version !== CONSENT_VERSION) {
+        flags.push(flag('consent-version', `The consent is for version ${JSON.stringify(payload.consent.version)} of the consent text; the current version is ${CONSENT_VERSION}.`));
+    }
+    const release = instrument.releases.find(({ version }) => version === form.version);
+    if (!release) {
+        errors.push(`The record is for version ${JSON.stringify(form.version)} of ${instrument.id}, which was never released; the versions are ${instrument.releases.map(({ version }) => version).join(', ')}.`);
+    } else if (!release.questionSetHashes.includes(form.question_set_hash)) {
+        errors.push(`The record was taken on an item bank that was never released as ${instrument.id} ${form.version} (question set hash ${JSON.stringify(form.question_set_hash)}).`);
+    } else {
+        if (form.version !== instrument.version) {
+            flags.push(flag('form-version', `The record is for version ${JSON.stringify(form.version)} of ${instrument.id}; the current version is ${instrument.version}.`));
+        }
+        if (form.question_set_hash !== hashQuestionSet(questions)) {
+            flags.push(flag('question-set', `The record was taken on another item bank (question set hash ${JSON.stringify(form.question_set_hash)}).`));
+        }
+    }
+    if (!ENGINE_VERSIONS.includes(record.engine_version)) {
+        errors.push(`The record was scored by engine version ${JSON.stringify(record.engine_version)}, which was never released; the versions are ${ENGINE_VERSIONS.join(', ')}.`);
+    } else if (record.engine_version !== ENGINE_VERSION) {
+        flags.push(flag('engine-version', `The record was scored by engine version ${JSON.stringify(record.engine_version)}, not ${ENGINE_VERSION}.`));
+    }
+    return flags;
+}
+
+// Checks the administration, adding to `errors`, and the estimator, adding to
+// `differences`; returns the estimator to rescore with, or null.
+function checkAdministration(record, errors, differences) {
+    const { administration, scoring } = record;
+    if (!(administration in ADMINISTRATION_ESTIMATORS)) {
+        errors.push(`The record's administration must be one of ${Object.keys(ADMINISTRATION_ESTIMATORS).join(', ')}, got ${JSON.stringify(administration)}.`);
+        return null;
+    }
+    const allowed = administration === 'fixed' ? ['answered', 'omitted'] : ['answered', 'omitted', 'not-administered'];
+    const unexpected = Object.entries(record.responses).filter(([, { status }]) => !allowed.includes(status));
+    if (unexpected.length > 0) {
+        errors.push(`The ${administration} administration cannot have items with status ${[...new Set(unexpected.map(([, { status }]) => status))].join(', ')} (items ${unexpected.map(([number]) => number).join(', ')}).`);
+    }
+    const estimator = ADMINISTRATION_ESTIMATORS[administration];
+    if (!scoring || scoring.estimator !== estimator) {
+        differences.push(`The ${administration} administration is scored with ${estimator}, but the record names ${JSON.stringify(scoring && scoring.estimator)}.`);
+    }
+    return estimator;
+}
+
+function compareThetas(thetas, rescored, dichotomyOrder, errors) {
+    for (const name of dichotomyOrder) {
+        const recorded = thetas && thetas[name];
+        const { theta, standardError } = rescored[name];
+        if (!isPlainObject(recorded) || !isClose(recorded.theta, theta) || !isClose(recorded.standard_error, standardError)) {
+            errors.push(`The record's theta for ${name} is ${JSON.stringify(recorded || null)}, but the answers score theta ${theta} with standard error ${standardError}.`);
+        }
+    }
+}
+
+function compareReportedType(reportedType, rescored, dichotomyOrder, errors) {
+    if (!isPlainObject(reportedType)) {
+        errors.push('"reported_type" must be an object keyed by dichotomy.');
+        return;
+    }
+    for (const name of dichotomyOrder) {
+        const submitted = reportedType[name];
+        const expected = rescored[name];
+        if (!isPlainObject(submitted)) {
+            errors.push(`reported_type has no result for ${name}.`);
+            continue;
+        }
+        for (const field of ['preference', 'pci', 'pcc']) {
+            if (submitted[field] !== expected[field]) {
+                errors.push(`reported_type.${name}.${field} is ${JSON.stringify(submitted[field])}, but the answers score ${JSON.stringify(expected[field])}.`);
+            }
+        }
+        for (const field of ['theta', 'standardError']) {
+            if (!isClose(submitted[field], expected[field])) {
+                errors.push(`reported_type.${name}.${field} is ${JSON.stringify(submitted[field])}, but the answers score ${expected[field]}.`);
+            }
+        }
+    }
+}
+
+// The best-fit type is the respondent's own choice, which no engine or form version
+// changes, so any pole the rescoring does not allow is an error.
+function validateBestFitType(bestFitType, rescored, instrument, errors) {
+    const { dichotomies } = instrument;
+    const verifiedPcc = verifiedClarity(instrument.scoringProfile);
+    if (typeof bestFitType !== 'string' || bestFitType.length !== dichotomies.length) {
+        errors.push(`"best_fit_type" must be ${dichotomies.length} letters, one per dichotomy, got ${JSON.stringify(bestFitType)}.`);
+        return;
+    }
+    dichotomies.forEach(({ name, poles }, i) => {
+        const letter = bestFitType[i];
+        const { preference, pcc } = rescored[name];
+        if (!poles.includes(letter)) {
+            errors.push(`best_fit_type letter ${i + 1} must be ${poles.join(' or ')}, got "${letter}".`);
+        } else if (letter !== preference && pcc !== verifiedPcc) {
+            errors.push(`best_fit_type has ${letter} for ${name}, but only ${verifiedPcc} preferences are verified and the answers score a ${pcc} ${preference}.`);
+        }
+    });
+}
+
+function checkLocale(locale, errors) {
+    if (locale !== undefined && locale !== null && !(typeof locale === 'string' && Object.prototype.hasOwnProperty.call(SUPPORTED_LOCALES, locale))) {
+        errors.push(`"locale" must be one of ${Object.keys(SUPPORTED_LOCALES).join(', ')}, got ${JSON.stringify(locale)}.`);
+    }
+}
+
+function checkSurveyAnswers(payload, errors) {
+    for (const field of ['enjoys_frameworks', 'wants_in_schools']) {
+        const value = payload[field];
+        if (value !== undefined && value !== null && typeof value !== 'boolean') {
+            errors.push(`"${field}" must be true, false or null, got ${JSON.stringify(value)}.`);
+        }
+    }
+}
+
+function checkResponseTiming(timing, questionCount, errors) {
+    if (timing === undefined || timing === null) {
+        return;
+    }
+    const fields = isPlainObject(timing) ? Object.keys(timing) : [];
+    if (fields.length !== RESPONSE_TIMING_FIELDS.length || !RESPONSE_TIMING_FIELDS.every(field => fields.includes(field))) {
+        errors.push(`"response_timing" must be an object with exactly the fields ${RESPONSE_TIMING_FIELDS.join(', ')}.`);
+        return;
+    }
+    const isCount = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+    const { total_ms: totalMs, answered_count: answeredCount, median_latency_ms: medianLatencyMs, fast_response_count: fastCount, answer_changes: answerChanges, speeded } = timing;
+    if (!isCount(totalMs, MAX_DURATION_MS)) {
+        errors.push(`response_timing.total_ms must be an integer from 0 to ${MAX_DURATION_MS}, got ${JSON.stringify(totalMs)}.`);
+    }
+    if (!isCount(answeredCount, questionCount)) {
+        errors.push(`response_timing.answered_count must be an integer from 0 to ${questionCount}, got ${JSON.stringify(answeredCount)}.`);
+    }
+    if (medianLatencyMs !== null && !(Number.isFinite(medianLatencyMs) && medianLatencyMs >= 0 && medianLatencyMs <= MAX_DURATION_MS)) {
+        errors.push(`response_timing.median_latency_ms must be null or a number from 0 to ${MAX_DURATION_MS}, got ${JSON.stringify(medianLatencyMs)}.`);
+    }
+    if (!isCount(fastCount, Number.isInteger(answeredCount) ? answeredCount : questionCount)) {
+        errors.push(`response_timing.fast_response_count must be an integer from 0 to the answered count, got ${JSON.stringify(fastCount)}.`);
+    }
+    if (!isCount(answerChanges, Number.MAX_SAFE_INTEGER)) {
+        errors.push(`response_timing.answer_changes must be an integer of at least 0, got ${JSON.stringify(answerChanges)}.`);
+    }
+    if (typeof speeded !== 'boolean') {
+        errors.push(`response_timing.speeded must be true or false, got ${JSON.stringify(speeded)}.`);
+    }
+}
+
+// Rebuilds the retest of a payload from the earlier result's token, adding to `errors`
+// when it cannot be read. Returns the retest to store, or null for a first result.
+function rebuildRetest(retest, rescored, instrument, questions, errors) {
+    if (retest === undefined || retest === null) {
+        return null;
+    }
+    const token = isPlainObject(retest) ? retest.previous_token : undefined;
+    if (typeof token !== 'string' || token.length > MAX_RESULT_TOKEN_LENGTH) {
+        errors.push('"retest" must name the earlier result by its result token in "previous_token".');
+        return null;
+    }
+    const completedAt = retest.previous_completed_at ?? null;
+    if (completedAt !== null && !(typeof completedAt === 'string' && ISO_DATE_PATTERN.test(completedAt) && !Number.isNaN(Date.parse(completedAt)))) {
+        errors.push(`retest.previous_completed_at must be null or an ISO 8601 date, got ${JSON.stringify(completedAt)}.`);
+    }
+    let decoded;
+    try {
+        decoded = decodeResultToken(token, instrument.dichotomies.length);
+    } catch (error) {
+        errors.push(`retest.previous_token cannot be read: ${error.message}`);
+        return null;
+    }
+
+    const previousBestFitType = instrument.dichotomies.map(({ poles }, i) => poles[decoded.bestFit[i]]).join('');
+    if (decoded.questionSetHash !== hashQuestionSet(questions) || decoded.answers.length !== questions.length) {
+        return { previous_token: token, previous_completed_at: completedAt, previous_best_fit_type: previousBestFitType, previous_reported_type: null, comparison: null };
+    }
+    const previousAnswers = {};
+    decoded.answers.forEach((choice, index) => {
+        if (choice) {
+            previousAnswers[index + 1] = { choice };
+        }
+    });
+    const previous = calculateResults(previousAnswers, { [instrument.questionsKey]: questions }, {
+        instrument,
+        estimator: ADMINISTRATION_ESTIMATORS[decoded.adaptive ? 'adaptive' : 'fixed']
+    }).dichotomyResults;
+    return {
+        previous_token: token,
+        previous_completed_at: completedAt,
+        previous_best_fit_type: previousBestFitType,
+        previous_reported_type: previous,
+        comparison: compareResults(previous, rescored, instrument.dichotomies.map(({ name }) => name))
+    };
+}
+
+/**
+ * Validates a submitted payload. `questionBanks` maps each instrument's questionsFile to
+ * its parsed item bank, e.g. { 'questions.json': {...} }.
+ *
+ * Returns { valid, errors, flags, instrument, rescored, retest }: `errors` lists every
+ * problem found, `flags` the review flags of an accepted result ({ code, message }, see
+ * above), `rescored` is the full result of `calculateResults` on the recorded answers
+ * (null when the payload could not be scored), from which the caller should store the
+ * scores rather than from the payload, and `retest` the rebuilt retest to store in place
+ * of the payload's.
+ */
+export function validateSubmission(payload, questionBanks) {
+    if (!isPlainObject(payload)) {
+        return { valid: false, errors: ['The request body must be a JSON object.'], flags: [], instrument: null, rescored: null, retest: null };
+    }
+    const errors = checkConsent(payload.consent, payload.contact);
+    if (typeof payload.participant_token !== 'string' || !PARTICIPANT_TOKEN_PATTERN.test(payload.participant_token)) {
+        errors.push('"participant_token" must be a participant token made by consent.js.');
+    }
+    checkLocale(payload.locale, errors);
+    checkSurveyAnswers(payload, errors);
+    const record = payload.result_record;
+    const formId = isPlainObject(record) && isPlainObject(record.form) ? record.form.id : undefined;
+    const instrument = Object.prototype.hasOwnProperty.call(INSTRUMENTS, formId) ? INSTRUMENTS[formId] : null;
+    if (!instrument) {
+        errors.push(`"result_record" must be a result record of one of the forms ${Object.keys(INSTRUMENTS).join(', ')}, got form ${JSON.stringify(formId)}.`);
+        return { valid: false, errors, flags: [], instrument: null, rescored: null, retest: null };
+    }
+
+    const questionData = questionBanks[instrument.questionsFile];
+    const questions = questionData ? questionData[instrument.questionsKey] : undefined;
+    if (!Array.isArray(questions)) {
+        throw new RangeError(`No item bank was given for ${instrument.questionsFile}.`);
+    }
+    checkResponseTiming(payload.response_timing, questions.length, errors);
+    const recordErrors = checkResultRecord(record, instrument, questions.length);
+    if (recordErrors.length > 0) {
+        return { valid: false, errors: [...errors, ...recordErrors], flags: [], instrument, rescored: null, retest: null };
+    }
+    const differences = [];
+    const estimator = checkAdministration(record, errors, differences);
+    if (!estimator) {
+        return { valid: false, errors, flags: [], instrument, rescored: null, retest: null };
+    }
+
+    const rescored = calculateResults(recordAnswers(record), { [instrument.questionsKey]: questions }, { instrument, estimator });
+    if (record.scoring.scoring_profile !== rescored.scoringProfile) {
+        differences.push(`The record names scoring profile ${JSON.stringify(record.scoring.scoring_profile)}, but the answers are scored with ${rescored.scoringProfile}.`);
+    }
+    const dichotomyOrder = instrument.dichotomies.map(({ name }) => name);
+    compareThetas(record.thetas, rescored.dichotomyResults, dichotomyOrder, differences);
+    compareReportedType(payload.reported_type, rescored.dichotomyResults, dichotomyOrder, differences);
+    validateBestFitType(payload.best_fit_type, rescored.dichotomyResults, instrument, errors);
+    const retest = rebuildRetest(payload.retest, rescored.dichotomyResults, instrument, questions, errors);
+
+    // A current record must match its rescoring exactly; one of an earlier release is kept
+    // for review.
+    const flags = versionFlags(payload, record, instrument, questions, errors);
+    if (errors.length > 0 || flags.length === 0) {
+        errors.push(...differences);
+        return { valid: errors.length === 0, errors, flags: [], instrument, rescored, retest };
+    }
+    if (differences.length > 0) {
+        flags.push(flag('rescore-differs', differences.join(' ')));
+    }
+    return { valid: true, errors, flags, instrument, rescored, retest };
+}
@@ -0,0 +1,15 @@
+// supabase/functions/_shared/cors.ts
+
+// This is a helper for Cross-Origin Resource Sharing (CORS).
+// It's required to allow your GitHub Pages site to call the functions.
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*', // Or specify your GitHub Pages URL for better security
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+export function jsonResponse(body: unknown, status: number): Response {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+}
@@ -0,0 +1,14 @@
+// supabase/functions/_shared/participantToken.ts
+
+// Every saved result carries a participant token (see consent.js), which the participant
+// keeps so they can later export or delete their data (see participant-data). The database
+// only keeps SHA-256 hashes of the token, a different one per table, so neither the token
+// nor a link between a result and the contact details given with it can be read from the
+// stored rows.
+
+export type TokenTable = 'results' | 'contacts'
+
+export async function hashParticipantToken(token: string, table: TokenTable): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${table}:${token}`))
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
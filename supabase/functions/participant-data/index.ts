@@ -0,0 +1,87 @@
+// supabase/functions/participant-data/index.ts
+
+// Lets a participant export or delete everything stored about them, using the participant
+// token their result was submitted with (see consent.js):
+//
+//   POST { "token": "<participant token>", "action": "export" | "delete" }
+//
+// "export" returns the stored result and contact details as JSON; "delete" removes them
+// and returns how many rows went. Either answers 404 when nothing is stored for the token,
+// e.g. after its retention period ended.
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.0.0'
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts'
+import { PARTICIPANT_TOKEN_PATTERN } from '../../../consent.js'
+import { hashParticipantToken } from '../_shared/participantToken.ts'
+import type { TokenTable } from '../_shared/participantToken.ts'
+
+const ACTIONS = ['export', 'delete']
+const TABLES: TokenTable[] = ['results', 'contacts']
+
+// Internal columns left out of an export.
+const HIDDEN_COLUMNS = ['participant_token_hash']
+
+serve(async (req) => {
+  // This is needed for the browser's "preflight" request.
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    // Rows are found by token hash only, which the anon key may not query, so this runs
+    // with the service role.
+    const adminClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    const { token, action } = await req.json()
+    if (typeof token !== 'string' || !PARTICIPANT_TOKEN_PATTERN.test(token)) {
+      return jsonResponse({ error: 'This is not a participant code.' }, 422)
+    }
+    if (!ACTIONS.includes(action)) {
+      return jsonResponse({ error: `"action" must be one of ${ACTIONS.join(', ')}.` }, 422)
+    }
+
+    const hashes = Object.fromEntries(
+      await Promise.all(TABLES.map(async (table) => [table, await hashParticipantToken(token, table)]))
+    )
+
+    if (action === 'export') {
+      const data: Record<string, unknown[]> = {}
+      for (const table of TABLES) {
+        const { data: rows, error } = await adminClient.from(table).select('*').eq('participant_token_hash', hashes[table])
+        if (error) {
+          throw error
+        }
+        data[table] = rows.map((row) => Object.fromEntries(
+          Object.entries(row).filter(([column]) => !HIDDEN_COLUMNS.includes(column))
+        ))
+      }
+      if (TABLES.every((table) => data[table].length === 0)) {
+        return jsonResponse({ error: 'No data is stored for this participant code.' }, 404)
+      }
+      return jsonResponse({ exported_at: new Date().toISOString(), ...data }, 200)
+    }
+
+    const deleted: Record<string, number> = {}
+    for (const table of TABLES) {
+      const { count, error } = await adminClient
+        .from(table)
+        .delete({ count: 'exact' })
+        .eq('participant_token_hash', hashes[table])
+      if (error) {
+        throw error
+      }
+      deleted[table] = count ?? 0
+    }
+    if (TABLES.every((table) => deleted[table] === 0)) {
+      return jsonResponse({ error: 'No data is stored for this participant code.' }, 404)
+    }
+    return jsonResponse({ message: 'Your data was deleted.', deleted }, 200)
+  } catch (error) {
+    // Return an error response.
+    return jsonResponse({ error: error.message }, 400)
+  }
+})
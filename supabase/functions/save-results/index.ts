@@ -2,13 +2,18 @@
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.0.0'
+// The engine's own modules, so that submissions are rescored exactly as in the browser.
+import { validateSubmission } from '../../../submissionValidator.js'
+import { retentionEnd } from '../../../consent.js'
+import formMQuestions from '../../../questions.json' with { type: 'json' }
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts'
+import { hashParticipantToken } from '../_shared/participantToken.ts'
 
-// This is a helper for Cross-Origin Resource Sharing (CORS).
-// It's required to allow your GitHub Pages site to call this function.
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*', // Or specify your GitHub Pages URL for better security
-  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
-}
+// Item banks by the questionsFile their instrument declares in instruments.js.
+const questionBanks = { 'questions.json': formMQuestions }
+
+// PostgreSQL's error code for a duplicate key.
+const UNIQUE_VIOLATION = '23505'
 
 serve(async (req) => {
   // This is needed for the browser's "preflight" request.
@@ -17,54 +22,97 @@ serve(async (req) => {
   }
 
   try {
-    // Create a Supabase client with the user's access token.
-    const supabaseClient = createClient(
+    // Neither table accepts inserts with the anon key, so nothing reaches them without
+    // passing the validation below; storing uses the service role.
+    const adminClient = createClient(
       Deno.env.get('SUPABASE_URL') ?? '',
-      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
-      { global: { headers: { Authorization: req.headers.get('Authorization')! } } }
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
     )
 
     // Get the data from the request body.
+    const payload = await req.json();
+
+    // Check the consent, rescore the answers and refuse anything the engine would not have
+    // produced. Results of an earlier form, engine or consent text are kept with review flags.
+    const { valid, errors, flags, rescored, retest } = validateSubmission(payload, questionBanks)
+    if (!valid) {
+      return jsonResponse({ error: 'The result was not accepted.', details: errors }, 422)
+    }
+
     const {
-      raw_answers,
+      result_record,
       best_fit_type,
-      reported_type,
-      email,
+      locale,
+      response_timing,
+      consent,
+      contact,
       enjoys_frameworks,
-      wants_in_schools
-    } = await req.json();
+      wants_in_schools,
+      participant_token
+    } = payload;
 
-    // Basic validation
-    if (!raw_answers || !best_fit_type || !reported_type) {
-      throw new Error("Missing required fields: raw_answers, best_fit_type, and reported_type are required.");
-    }
+    // The participant keeps the token; the tables only keep unrelated hashes of it.
+    const resultTokenHash = await hashParticipantToken(participant_token, 'results')
+    const storedAt = new Date()
 
-    // Insert the data into the 'results' table.
-    const { error } = await supabaseClient
+    // Insert the data into the 'results' table. Scores and the retest comparison come from
+    // the server-side rescoring; the form and administration columns repeat the record's
+    // for querying.
+    const { error } = await adminClient
       .from('results')
       .insert({
-        raw_answers,
+        result_record,
         best_fit_type,
-        reported_type,
-        email,
+        reported_type: rescored.dichotomyResults,
+        instrument_id: result_record.form.id,
+        instrument_version: result_record.form.version,
+        administration: result_record.administration,
+        locale,
+        validity: rescored.validity,
+        scoring_profile: rescored.scoringProfile,
+        scoring_trace: rescored.scoringTrace,
+        response_timing,
+        retest,
+        consent,
         enjoys_frameworks,
-        wants_in_schools
+        wants_in_schools,
+        review_flags: flags.length > 0 ? flags : null,
+        participant_token_hash: resultTokenHash,
+        expires_at: retentionEnd('research', storedAt).toISOString()
       });
 
-    if (error) {
+    // The browser retries queued submissions, so a token already stored (a violation of the
+    // unique index on participant_token_hash) means this is a retry of a result that was
+    // saved but whose answer never arrived.
+    const alreadySaved = error?.code === UNIQUE_VIOLATION
+    if (error && !alreadySaved) {
       throw error
     }
 
+    // Contact details go to their own table, with no column pointing at the result and
+    // nothing shared with it: only the consent version, and dates to the day. A retry may
+    // find them stored already, like the result.
+    if (contact) {
+      const storedOn = new Date(storedAt)
+      storedOn.setUTCHours(0, 0, 0, 0)
+      const { error: contactError } = await adminClient
+        .from('contacts')
+        .insert({
+          email: contact.email,
+          consent_version: consent.version,
+          consent_purpose: 'contact',
+          participant_token_hash: await hashParticipantToken(participant_token, 'contacts'),
+          expires_at: retentionEnd('contact', storedOn).toISOString()
+        });
+      if (contactError && contactError.code !== UNIQUE_VIOLATION) {
+        throw contactError
+      }
+    }
+
     // Return a success response.
-    return new Response(JSON.stringify({ message: "Result saved successfully!" }), {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      status: 200,
-    })
+    return jsonResponse({ message: alreadySaved ? "Result already saved." : "Result saved successfully!" }, 200)
   } catch (error) {
     // Return an error response.
-    return new Response(JSON.stringify({ error: error.message }), {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      status: 400,
-    })
+    return jsonResponse({ error: error.message }, 400)
   }
-})
\ No newline at end of file
+})
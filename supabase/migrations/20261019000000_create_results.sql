@@ -0,0 +1,23 @@
+-- The results table as the save-results function first wrote it. The table predates
+-- this directory, so the statements leave an existing table and policy as they are.
+
+create table if not exists public.results (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  raw_answers jsonb not null,
+  best_fit_type text not null,
+  reported_type jsonb not null,
+  email text,
+  enjoys_frameworks boolean,
+  wants_in_schools boolean
+);
+
+-- Participants submit with the anon key and may only insert; reading results takes the
+-- service role.
+alter table public.results enable row level security;
+
+drop policy if exists "Anyone can submit a result" on public.results;
+create policy "Anyone can submit a result"
+  on public.results for insert
+  to anon, authenticated
+  with check (true);
@@ -0,0 +1,3 @@
+-- Person-fit and response-pattern checks of scorer.js, as reported by `calculateResults`
+-- (`{ isValid, flags, misfitDichotomies, responsePattern }`).
+alter table public.results add column if not exists validity jsonb;
@@ -0,0 +1,3 @@
+-- Summary of the response times kept by app.js (total_ms, answered_count,
+-- median_latency_ms, fast_response_count, answer_changes, speeded).
+alter table public.results add column if not exists response_timing jsonb;
@@ -0,0 +1,3 @@
+-- Language the participant took the form in (a code of SUPPORTED_LOCALES in i18n.js), as
+-- translated items may not behave exactly like the English ones.
+alter table public.results add column if not exists locale text;
@@ -0,0 +1,4 @@
+-- The form a result was taken on (`id` and `version` of its entry in instruments.js), so
+-- results of different forms or form versions are never pooled by accident.
+alter table public.results add column if not exists instrument_id text;
+alter table public.results add column if not exists instrument_version text;
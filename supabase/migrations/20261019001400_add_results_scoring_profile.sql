@@ -0,0 +1,4 @@
+-- Id of the scoring profile a result was scored with and the trace of the rules that
+-- fired (see scorer.js), so a flipped or capped preference can be audited.
+alter table public.results add column if not exists scoring_profile text;
+alter table public.results add column if not exists scoring_trace jsonb;
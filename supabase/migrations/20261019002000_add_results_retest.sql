@@ -0,0 +1,4 @@
+-- For a retest, the earlier result it was compared with (previous_token,
+-- previous_completed_at, previous_best_fit_type, previous_reported_type) and the
+-- comparison of retest.js; null for a first result.
+alter table public.results add column if not exists retest jsonb;
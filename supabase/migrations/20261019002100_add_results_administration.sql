@@ -0,0 +1,9 @@
+-- How the items were administered ('fixed' or 'adaptive'); the estimator the result was
+-- scored with follows from it.
+alter table public.results add column if not exists administration text
+  check (administration in ('fixed', 'adaptive'));
+
+-- From here on save-results stores the server's rescoring of the answers in
+-- reported_type, not the object the browser sent.
+comment on column public.results.reported_type is
+  'Reported preferences per dichotomy as rescored by save-results (calculateResults dichotomyResults).';
@@ -0,0 +1,7 @@
+-- Results are stored only by the save-results function, with the service role, once
+-- submissionValidator.js has checked and rescored them. The anon key ships with the site,
+-- so the insert policy let anybody post rows straight to the REST API and skip those
+-- checks; it goes, and neither client role keeps the privilege.
+
+drop policy if exists "Anyone can submit a result" on public.results;
+revoke insert on public.results from anon, authenticated;
@@ -0,0 +1,9 @@
+-- The versioned result record of resultRecord.js, which replaces raw_answers for new
+-- results. Rows saved before it keep raw_answers until scripts/migrateResults.js has
+-- filled their result_record.
+alter table public.results add column if not exists result_record jsonb;
+alter table public.results alter column raw_answers drop not null;
+
+alter table public.results drop constraint if exists results_answers_present;
+alter table public.results add constraint results_answers_present
+  check (result_record is not null or raw_answers is not null);
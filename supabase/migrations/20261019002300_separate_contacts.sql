@@ -0,0 +1,31 @@
+-- Consent and participant tokens (see consent.js). New results keep the consent record
+-- they were given under, a hash of the participant's token (see
+-- supabase/functions/_shared/participantToken.ts) and the end of their retention period;
+-- contact details move to a table of their own with nothing linking them to a result.
+
+alter table public.results add column if not exists consent jsonb;
+alter table public.results add column if not exists participant_token_hash text;
+alter table public.results add column if not exists expires_at timestamptz;
+
+-- One result per token: a retried upload of a saved result fails on this index, which
+-- save-results reports as already saved. Rows from before tokens have none.
+create unique index if not exists results_participant_token_hash_key
+  on public.results (participant_token_hash);
+create index if not exists results_expires_at_idx on public.results (expires_at);
+
+create table if not exists public.contacts (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  email text not null,
+  consent jsonb not null,
+  participant_token_hash text not null,
+  expires_at timestamptz not null
+);
+
+create unique index if not exists contacts_participant_token_hash_key
+  on public.contacts (participant_token_hash);
+create index if not exists contacts_expires_at_idx on public.contacts (expires_at);
+
+-- No policies: contact details are only read and written with the service role, which
+-- bypasses row level security. The anon key may still only insert results.
+alter table public.contacts enable row level security;
@@ -0,0 +1,23 @@
+-- Deletes results and contact details whose retention period (expires_at, set by
+-- save-results from the retention periods of consent.js) has ended, once a day.
+
+create or replace function public.purge_expired_participant_data()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  delete from public.results where expires_at < now();
+  delete from public.contacts where expires_at < now();
+$$;
+
+revoke execute on function public.purge_expired_participant_data() from public, anon, authenticated;
+
+create extension if not exists pg_cron;
+
+-- Scheduling under the same name again replaces the job.
+select cron.schedule(
+  'purge-expired-participant-data',
+  '15 3 * * *',
+  'select public.purge_expired_participant_data()'
+);
@@ -0,0 +1,18 @@
+-- A contact row kept the whole consent record, whose given_at timestamp (to the
+-- millisecond) is stored with the result too, and its created_at and expires_at were
+-- taken from the same moment as the result's: any of them linked a contact to its
+-- result. Contacts now keep only the consent version and the purpose consented to, and
+-- their dates only to the day.
+
+alter table public.contacts add column if not exists consent_version text;
+alter table public.contacts add column if not exists consent_purpose text not null default 'contact'
+  check (consent_purpose = 'contact');
+
+update public.contacts set consent_version = consent->>'version' where consent_version is null;
+alter table public.contacts alter column consent_version set not null;
+alter table public.contacts drop column if exists consent;
+
+alter table public.contacts alter column created_at set default date_trunc('day', now());
+update public.contacts
+  set created_at = date_trunc('day', created_at),
+      expires_at = date_trunc('day', expires_at);
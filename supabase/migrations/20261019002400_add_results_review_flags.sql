@@ -0,0 +1,4 @@
+-- Why a result of an earlier consent text, form, item bank or engine needs a second look
+-- ([{ code, message }] with the codes of REVIEW_FLAGS in submissionValidator.js); null
+-- for a result that matched the current site exactly.
+alter table public.results add column if not exists review_flags jsonb;
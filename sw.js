@@ -0,0 +1,86 @@
+/**
+ * sw.js: Service worker that lets the assessment run offline
+ *
+ * On install it caches the app shell: the page, its styles, every module app.js loads,
+ * the item bank and every locale, all fetched together into a cache named after
+ * SHELL_VERSION. The app's files are then served from that cache only, so the assessment
+ * starts and runs without a connection and a page never mixes files of two deployments
+ * (app.js imports most modules lazily, long after the page has loaded). Requests to other
+ * origins (the Supabase functions, web fonts) go straight to the network; results that
+ * cannot be uploaded wait in the submission queue (see submissionQueue.js).
+ *
+ * A new shell version installs next to the old one and takes over, deleting the old
+ * cache, once no open page uses the old one any more.
+ *
+ * SHELL_FILES must list every file the app needs: add new modules and locales here.
+ * Bump SHELL_VERSION whenever ANY shell file changes, not only the list: devices only
+ * see a new deployment when this file changes, and until then keep serving the old shell.
+ */
+
+const SHELL_VERSION = 7;
+const CACHE_PREFIX = 'vte-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${SHELL_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './style.css',
+    './print.css',
+    './manifest.webmanifest',
+    './icon.svg',
+    './app.js',
+    './adaptive.js',
+    './consent.js',
+    './i18n.js',
+    './instruments.js',
+    './itemBankValidator.js',
+    './itemParameterMatrix.js',
+    './report.js',
+    './responseFile.js',
+    './resultRecord.js',
+    './resultToken.js',
+    './retest.js',
+    './scorer.js',
+    './statistics.js',
+    './submissionQueue.js',
+    './teamReport.js',
+    './questions.json',
+    './locales/en/strings.json',
+    './locales/es/strings.json',
+    './locales/es/questions.json',
+    './locales/fr/strings.json',
+    './locales/fr/questions.json'
+];
+
+// Bypasses the HTTP cache, which could still hold files of the previous deployment.
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function respondFromShell(request) {
+    const cache = await caches.open(CACHE_NAME);
+    // The page is the same whatever its query (?mode=adaptive, ?lang=es, ?form=...).
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    return cached || fetch(request);
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    event.respondWith(respondFromShell(request));
+});
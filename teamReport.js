@@ -0,0 +1,376 @@
+/**
+ * teamReport.js: Type report of a group
+ *
+ * For team-building workshops, where a facilitator gathers the results of a group and
+ * shows how its types are spread. A team member is
+ *
+ *     { label, type: 'ISTJ', dichotomies: { 'E-I': { preference, pci, pcc, bestFit }, ... } }
+ *
+ * where `type` is the best-fit type, `preference`, `pci` and `pcc` are the reported
+ * preference and its clarity, and `label` is the name the facilitator gave, or null.
+ * Members come from:
+ *
+ * - result tokens (see resultToken.js), as in the links of the share button:
+ *   `memberFromToken` rescores the answers exactly as opening the link would;
+ * - rows of the `results` table exported as CSV: `readResultsCsv` reads each row's
+ *   `best_fit_type` and `reported_type` columns, with the label from a "name", "label"
+ *   or "id" column when there is one. The row is not rescored.
+ *
+ * `buildTeamReport` counts the members into the type distribution, the balance of each
+ * dichotomy (by best-fit type), the clarity of the reported preferences per pole and the
+ * type table: the 4 × 4 grid in the customary order of Myers & McCaulley, with ISTJ at
+ * the top left and ENTJ at the bottom right. `renderTeamReport` and
+ * `buildTeamReportDocument` turn the report into markup styled by print.css, like the
+ * personal report of report.js. The module has no browser, Node or Deno dependencies.
+ */
+
+import { REPORT_CONTAINER_ID } from './report.js';
+import { parseCsv } from './responseFile.js';
+import { ADMINISTRATION_ESTIMATORS, hashQuestionSet } from './resultRecord.js';
+import { decodeResultToken } from './resultToken.js';
+import { calculateResults } from './scorer.js';
+
+// Rows and columns of the type table as pole indices (0 = first pole) of the instrument's
+// dichotomies: rows by the first and fourth (IJ, IP, EP, EJ), columns by the second and
+// third (ST, SF, NF, NT).
+const TYPE_TABLE_ROWS = [[1, 0], [1, 1], [0, 1], [0, 0]];
+const TYPE_TABLE_COLUMNS = [[0, 0], [0, 1], [1, 1], [1, 0]];
+
+const LABEL_COLUMNS = ['name', 'label', 'id'];
+const TOKEN_IN_LINE = /(?:#(?:result|retest)=)?([A-Za-z0-9_-]+)\s*$/;
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
+}
+
+// Clarity categories from least to most clear.
+function clarityCategories(instrument) {
+    return instrument.scoringProfile.pccCutPoints
+        .slice()
+        .sort((a, b) => a.minPci - b.minPci)
+        .map(cutPoint => cutPoint.category);
+}
+
+/**
+ * Checks a member's type and dichotomy results against the instrument and returns the
+ * member. Throws a RangeError naming the first problem.
+ */
+export function teamMember({ label = null, type, dichotomyResults }, instrument) {
+    const categories = clarityCategories(instrument);
+    if (typeof type !== 'string' || type.length !== instrument.dichotomies.length) {
+        throw new RangeError(`The best-fit type must have ${instrument.dichotomies.length} letters, got ${JSON.stringify(type)}.`);
+    }
+    if (!dichotomyResults || typeof dichotomyResults !== 'object') {
+        throw new RangeError('The result has no reported type.');
+    }
+    const dichotomies = {};
+    instrument.dichotomies.forEach(({ name, poles }, index) => {
+        const bestFit = type[index].toUpperCase();
+        if (!poles.includes(bestFit)) {
+            throw new RangeError(`Letter ${index + 1} of the best-fit type "${type}" must be ${poles.join(' or ')}.`);
+        }
+        const result = dichotomyResults[name];
+        if (!result || !poles.includes(result.preference) || !Number.isFinite(result.pci) || !categories.includes(result.pcc)) {
+            throw new RangeError(`The reported type has no readable ${name} preference with its PCI and clarity.`);
+        }
+        dichotomies[name] = { preference: result.preference, pci: result.pci, pcc: result.pcc, bestFit };
+    });
+    const trimmed = typeof label === 'string' ? label.trim() : '';
+    return { label: trimmed === '' ? null : trimmed, type: type.toUpperCase(), dichotomies };
+}
+
+/**
+ * Rebuilds a member from a result token, taken on `questions` (the instrument's English
+ * item array). Throws a RangeError when the token cannot be read or was taken on another
+ * item bank.
+ */
+export function memberFromToken(token, questions, instrument, label = null) {
+    if (typeof token !== 'string' || token === '') {
+        throw new RangeError('The line holds no result link or token.');
+    }
+    const decoded = decodeResultToken(token, instrument.dichotomies.length);
+    if (decoded.questionSetHash !== hashQuestionSet(questions) || decoded.answers.length !== questions.length) {
+        throw new RangeError('The result was taken on a different version of the assessment.');
+    }
+    const answers = {};
+    decoded.answers.forEach((choice, index) => {
+        if (choice) {
+            answers[index + 1] = { choice };
+        }
+    });
+    const { dichotomyResults } = calculateResults(answers, { [instrument.questionsKey]: questions }, {
+        instrument,
+        estimator: ADMINISTRATION_ESTIMATORS[decoded.adaptive ? 'adaptive' : 'fixed']
+    });
+    const type = instrument.dichotomies.map(({ poles }, index) => poles[decoded.bestFit[index]]).join('');
+    return teamMember({ label, type, dichotomyResults }, instrument);
+}
+
+/**
+ * Splits pasted text into one entry per non-empty line: { line, label, token }. A line
+ * holds a result link or bare token, optionally after a name ("Ana: https://…#result=…").
+ * Lines without anything that looks like a token have a null token.
+ */
+export function parseTeamEntries(text) {
+    const entries = [];
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((content, index) => {
+        if (content.trim() === '') return;
+        const match = content.match(TOKEN_IN_LINE);
+        const linkStart = match ? content.search(/\S+\s*$/) : content.length;
+        const label = content.slice(0, linkStart).trim().replace(/[\s:,;–-]+$/, '');
+        entries.push({ line: index + 1, label: label || null, token: match ? match[1] : null });
+    });
+    return entries;
+}
+
+/**
+ * Reads a CSV export of the `results` table (see responseFile.js for the CSV dialect).
+ * Returns { members, errors }, where `errors` lists { line, message } for the rows left
+ * out. Throws a RangeError when the header lacks the columns needed.
+ */
+export function readResultsCsv(text, instrument) {
+    const [headerRow, ...dataRows] = parseCsv(text);
+    if (!headerRow) {
+        return { members: [], errors: [] };
+    }
+    const columns = headerRow.cells.map(cell => cell.trim().toLowerCase());
+    const typeColumn = columns.indexOf('best_fit_type');
+    const reportedColumn = columns.indexOf('reported_type');
+    if (typeColumn < 0 || reportedColumn < 0) {
+        throw new RangeError('The CSV needs the best_fit_type and reported_type columns of the results table.');
+    }
+    const labelColumn = LABEL_COLUMNS.map(name => columns.indexOf(name)).find(column => column >= 0);
+
+    const members = [];
+    const errors = [];
+    for (const { line, cells } of dataRows) {
+        try {
+            if (cells.length !== columns.length) {
+                throw new RangeError(`The row has ${cells.length} cells but the header has ${columns.length}.`);
+            }
+            let dichotomyResults;
+            try {
+                dichotomyResults = JSON.parse(cells[reportedColumn]);
+            } catch (error) {
+                throw new RangeError(`reported_type is not valid JSON (${error.message}).`);
+            }
+            members.push(teamMember({
+                label: labelColumn === undefined ? null : cells[labelColumn],
+                type: cells[typeColumn].trim(),
+                dichotomyResults
+            }, instrument));
+        } catch (error) {
+            errors.push({ line, message: error.message });
+        }
+    }
+    return { members, errors };
+}
+
+function typeTable(instrument) {
+    if (instrument.dichotomies.length !== 4) {
+        return null;
+    }
+    const poles = instrument.dichotomies.map(dichotomy => dichotomy.poles);
+    return TYPE_TABLE_ROWS.map(([first, fourth]) => TYPE_TABLE_COLUMNS.map(([second, third]) =>
+        poles[0][first] + poles[1][second] + poles[2][third] + poles[3][fourth]));
+}
+
+/**
+ * Counts the members into the team report:
+ * { size, categories, types, table, dichotomies }, where
+ * - `types` lists { type, count, share, labels } for every type with members, most
+ *   frequent first (ties in type table order), `labels` being the members' labels;
+ * - `table` is the type table as rows of { type, count, share, labels }, or null when
+ *   the instrument does not have four dichotomies;
+ * - `dichotomies` lists per dichotomy { name, poles, counts, shares, clarity }: the
+ *   best-fit count and share of each pole, and per reported pole the count in each
+ *   clarity category of `categories` (least clear first).
+ * Shares are null for an empty team.
+ */
+export function buildTeamReport(members, instrument) {
+    const categories = clarityCategories(instrument);
+    const size = members.length;
+    const share = count => (size > 0 ? count / size : null);
+    const tableTypes = typeTable(instrument);
+
+    const cellOf = type => {
+        const holders = members.filter(member => member.type === type);
+        return {
+            type,
+            count: holders.length,
+            share: share(holders.length),
+            labels: holders.map(member => member.label).filter(label => label !== null)
+        };
+    };
+    const order = tableTypes ? tableTypes.flat() : [];
+    const seen = [...new Set([...order, ...members.map(member => member.type)])];
+    const types = seen
+        .map(cellOf)
+        .filter(cell => cell.count > 0)
+        .sort((a, b) => b.count - a.count || seen.indexOf(a.type) - seen.indexOf(b.type));
+
+    const dichotomies = instrument.dichotomies.map(({ name, poles }) => {
+        const counts = Object.fromEntries(poles.map(pole => [pole, members.filter(member => member.dichotomies[name].bestFit === pole).length]));
+        const clarity = Object.fromEntries(poles.map(pole => [pole, Object.fromEntries(categories.map(category => [
+            category,
+            members.filter(member => member.dichotomies[name].preference === pole && member.dichotomies[name].pcc === category).length
+        ]))]));
+        return {
+            name,
+            poles,
+            counts,
+            shares: Object.fromEntries(poles.map(pole => [pole, share(counts[pole])])),
+            clarity
+        };
+    });
+
+    return {
+        size,
+        categories,
+        types,
+        table: tableTypes ? tableTypes.map(row => row.map(cellOf)) : null,
+        dichotomies
+    };
+}
+
+function formatDate(date, locale) {
+    try {
+        return new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(date);
+    } catch (error) {
+        return date.toISOString().slice(0, 10);
+    }
+}
+
+function formatShare(value, locale) {
+    if (value === null) {
+        return '–';
+    }
+    try {
+        return new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 0 }).format(value);
+    } catch (error) {
+        return `${Math.round(value * 100)}%`;
+    }
+}
+
+function renderTypeTable(report, locale) {
+    const rows = report.table.map(row => `
+        <tr>${row.map(cell => `
+            <td class="team-type-cell${cell.count > 0 ? ' team-type-filled' : ''}">
+                <span class="team-type-code">${cell.type}</span>
+                <span class="team-type-count">${cell.count} · ${formatShare(cell.share, locale)}</span>
+                ${cell.labels.length > 0 ? `<span class="team-type-labels">${cell.labels.map(escapeHtml).join(', ')}</span>` : ''}
+            </td>`).join('')}
+        </tr>`).join('');
+    return `<table class="team-type-table">${rows}</table>`;
+}
+
+function renderBalance(dichotomy, t, locale) {
+    const [pole1, pole2] = dichotomy.poles;
+    const width = dichotomy.shares[pole1] === null ? 50 : Number((dichotomy.shares[pole1] * 100).toFixed(2));
+    return `
+        <tr>
+            <th scope="row">${t(`poles.${pole1}.name`)} / ${t(`poles.${pole2}.name`)}</th>
+            <td class="team-balance-count">${pole1} ${dichotomy.counts[pole1]} · ${formatShare(dichotomy.shares[pole1], locale)}</td>
+            <td>
+                <div class="team-balance-bar" role="img" aria-label="${pole1} ${dichotomy.counts[pole1]}, ${pole2} ${dichotomy.counts[pole2]}"><span class="team-balance-fill" style="width: ${width}%;"></span></div>
+            </td>
+            <td class="team-balance-count">${pole2} ${dichotomy.counts[pole2]} · ${formatShare(dichotomy.shares[pole2], locale)}</td>
+        </tr>
+    `;
+}
+
+function renderClarity(report, t) {
+    const header = report.categories.map(category => `<th scope="col">${t(`clarity.${category}`)}</th>`).join('');
+    const rows = report.dichotomies.flatMap(dichotomy => dichotomy.poles.map(pole => `
+        <tr>
+            <th scope="row">${t(`poles.${pole}.name`)} (${pole})</th>
+            ${report.categories.map(category => `<td>${dichotomy.clarity[pole][category]}</td>`).join('')}
+        </tr>
+    `)).join('');
+    return `
+        <table class="report-table team-clarity-table">
+            <thead><tr><th scope="col">${t('teamReport.preference')}</th>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Renders the report body. `report` is the object of `buildTeamReport` with the
+ * `generatedAt` date and `locale` it is shown in added.
+ */
+export function renderTeamReport(report, t) {
+    const { locale } = report;
+    const distributionRows = report.types.map(cell => `
+        <tr>
+            <td class="report-letter">${cell.type}</td>
+            <td>${cell.count}</td>
+            <td>${formatShare(cell.share, locale)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <article class="report team-report" lang="${locale}">
+            <header class="report-header">
+                <h1>${t('teamReport.title')}</h1>
+                <p class="report-date">${t('teamReport.generatedOn', { date: formatDate(report.generatedAt, locale), count: report.size })}</p>
+            </header>
+            ${report.size === 0 ? `<p>${t('teamReport.empty')}</p>` : `
+            ${report.table ? `
+            <section>
+                <h2>${t('teamReport.typeTable')}</h2>
+                ${renderTypeTable(report, locale)}
+            </section>` : ''}
+            <section>
+                <h2>${t('teamReport.balance')}</h2>
+                <table class="report-table team-balance-table">
+                    <tbody>${report.dichotomies.map(dichotomy => renderBalance(dichotomy, t, locale)).join('')}</tbody>
+                </table>
+            </section>
+            <section>
+                <h2>${t('teamReport.distribution')}</h2>
+                <table class="report-table team-distribution-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">${t('teamReport.type')}</th>
+                            <th scope="col">${t('teamReport.count')}</th>
+                            <th scope="col">${t('teamReport.share')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${distributionRows}</tbody>
+                </table>
+            </section>
+            <section>
+                <h2>${t('teamReport.clarity')}</h2>
+                ${renderClarity(report, t)}
+            </section>`}
+            <footer class="report-footer">
+                <p>${t('teamReport.disclaimer')}</p>
+            </footer>
+        </article>
+    `;
+}
+
+/**
+ * Wraps the report into a self-contained HTML document, with `stylesheet` (the text of
+ * print.css) inlined as for the personal report.
+ */
+export function buildTeamReportDocument(report, t, stylesheet = '') {
+    return `<!DOCTYPE html>
+<html lang="${report.locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('teamReport.title')}</title>
+    <style>${stylesheet}</style>
+</head>
+<body>
+<div id="${REPORT_CONTAINER_ID}">${renderTeamReport(report, t)}</div>
+</body>
+</html>
+`;
+}
+
+export function teamReportFileName(report) {
+    return `vte-team-report-${report.generatedAt.toISOString().slice(0, 10)}.html`;
+}
@@ -0,0 +1,56 @@
+/**
+ * test/calibration.test.js: Parameter recovery of calibration.js on simulated 2PL data
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ITEM_STATUS, calibrateItems } from '../calibration.js';
+import { createItemBank, createNormal, createRandom, simulateRecord } from './simulatedResponses.js';
+
+const TRUE_PARAMS = [
+    { a: 0.6, b: -1.5 }, { a: 0.9, b: -1 }, { a: 1.2, b: -0.5 }, { a: 1.5, b: 0 }, { a: 1.8, b: 0.5 },
+    { a: 0.8, b: 1 }, { a: 1.1, b: 1.5 }, { a: 1.4, b: -0.2 }, { a: 1, b: 0.3 }, { a: 1.6, b: -0.8 }
+];
+
+function simulateSample(respondents, seed) {
+    const random = createRandom(seed);
+    const normal = createNormal(random);
+    return Array.from({ length: respondents }, () => simulateRecord(normal(), TRUE_PARAMS, random));
+}
+
+test('recovers the generating parameters from flat starting values', () => {
+    // Calibration starts from the instrument's parameters, so start every item at a = 1, b = 0.
+    const { instrument, questions } = createItemBank(TRUE_PARAMS.map(() => ({ a: 1, b: 0 })));
+    const result = calibrateItems(simulateSample(3000, 7), questions, instrument);
+
+    assert.equal(result.respondents, 3000);
+    assert.equal(result.dichotomies['E-I'].converged, true);
+    result.items.forEach((item, index) => {
+        const truth = TRUE_PARAMS[index];
+        assert.equal(item.status, ITEM_STATUS.calibrated);
+        assert.ok(Math.abs(item.params.a - truth.a) < 0.25, `item ${item.number}: a = ${item.params.a}, true ${truth.a}`);
+        assert.ok(Math.abs(item.params.b - truth.b) < 0.2, `item ${item.number}: b = ${item.params.b}, true ${truth.b}`);
+        // The estimates should lie within about three of their own standard errors of the truth.
+        assert.ok(Math.abs(item.params.b - truth.b) < 3.5 * item.standardErrors.b, `item ${item.number}: b off by more than 3.5 SE`);
+        assert.ok(item.fit.rmsd < 0.1, `item ${item.number}: RMSD ${item.fit.rmsd}`);
+    });
+});
+
+test('keeps the parameters of items with too few responses', () => {
+    const { instrument, questions } = createItemBank(TRUE_PARAMS);
+    const records = simulateSample(200, 11);
+    records.slice(50).forEach(({ answers }) => delete answers[1]);
+    const result = calibrateItems(records, questions, instrument, { minResponses: 100 });
+
+    const [first] = result.items;
+    assert.equal(first.status, ITEM_STATUS.tooFewResponses);
+    assert.equal(first.responses, 50);
+    assert.deepEqual(first.params, TRUE_PARAMS[0]);
+    assert.equal(first.standardErrors, null);
+});
+
+test('rejects invalid options', () => {
+    const { instrument, questions } = createItemBank(TRUE_PARAMS);
+    assert.throws(() => calibrateItems([], questions, instrument, { quadraturePoints: 1 }), RangeError);
+    assert.throws(() => calibrateItems([], questions, instrument, { tolerance: 0 }), RangeError);
+});
@@ -0,0 +1,72 @@
+/**
+ * test/dif.test.js: Mantel-Haenszel and logistic regression DIF of dif.js
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { analyzeDif } from '../dif.js';
+import { createItemBank, createNormal, createRandom, simulateRecord } from './simulatedResponses.js';
+
+function records(group, pattern, count) {
+    return Array.from({ length: count }, () => ({
+        group,
+        answers: Object.fromEntries(pattern.map((choice, index) => [index + 1, { choice }]))
+    }));
+}
+
+const groupOf = record => record.group;
+
+test('Mantel-Haenszel statistics of a worked two-item example', () => {
+    // Respondents with a score of 0 or 2 agree on both items and carry no weight; at a score
+    // of 1 the reference group chose item 1's positive pole 30 times out of 60 and the focal
+    // group 36 times: α = (30 · 24) / (30 · 36) = 2/3.
+    const { instrument, questions } = createItemBank([{ a: 1, b: 0 }, { a: 1, b: 0 }]);
+    const data = [
+        ...records('reference', ['B', 'B'], 10), ...records('reference', ['A', 'A'], 10),
+        ...records('reference', ['A', 'B'], 30), ...records('reference', ['B', 'A'], 30),
+        ...records('focal', ['B', 'B'], 10), ...records('focal', ['A', 'A'], 10),
+        ...records('focal', ['A', 'B'], 36), ...records('focal', ['B', 'A'], 24)
+    ];
+    const result = analyzeDif(data, questions, instrument, { groupOf, reference: 'reference', minGroupSize: 2 });
+    const [first, second] = result.items;
+
+    assert.ok(Math.abs(first.mh.alpha - 2 / 3) < 1e-12);
+    assert.ok(Math.abs(first.mh.dDif - 2.35 * Math.log(1.5)) < 1e-12);
+    // |30 - 60 · 66 / 120| = 3, continuity-corrected and divided by the hypergeometric
+    // variance 60 · 60 · 66 · 54 / (120² · 119).
+    assert.ok(Math.abs(first.mh.chiSquare - 2.5 ** 2 / (60 * 60 * 66 * 54 / (120 * 120 * 119))) < 1e-12);
+    assert.equal(first.mh.class, 'A');
+    // The other item mirrors the first within the matched stratum.
+    assert.ok(Math.abs(second.mh.alpha - 1.5) < 1e-12);
+    assert.equal(result.comparisons[0].dichotomies['E-I'].purifiedItems.length, 0);
+});
+
+test('flags only the item made easier for the focal group', () => {
+    const params = Array.from({ length: 12 }, (_, index) => ({ a: 0.8 + (index % 4) * 0.3, b: -1.1 + index * 0.2 }));
+    const { instrument, questions } = createItemBank(params);
+    const random = createRandom(3);
+    const normal = createNormal(random);
+    const data = [
+        ...Array.from({ length: 1500 }, () => ({ ...simulateRecord(normal(), params, random), group: 'reference' })),
+        // Item 5 is 1.2 logits easier for the focal group: uniform DIF towards its positive pole.
+        ...Array.from({ length: 1500 }, () => ({ ...simulateRecord(normal(), params, random, { 4: -1.2 }), group: 'focal' }))
+    ];
+    const result = analyzeDif(data, questions, instrument, { groupOf });
+    const studied = result.items.find(item => item.number === 5);
+
+    assert.equal(studied.mh.class, 'C');
+    assert.ok(studied.mh.dDif > 1.5);
+    assert.notEqual(studied.lr.class, 'A');
+    assert.ok(studied.lr.groupEffect > 0);
+    assert.ok(studied.lr.uniformP < 0.001);
+    assert.equal(studied.flag, 'C');
+    for (const item of result.items.filter(other => other.number !== 5)) {
+        assert.equal(item.flag, 'A', `item ${item.number} flagged ${item.flag}`);
+    }
+});
+
+test('requires two groups', () => {
+    const { instrument, questions } = createItemBank([{ a: 1, b: 0 }, { a: 1, b: 0 }]);
+    assert.throws(() => analyzeDif(records('reference', ['A', 'B'], 60), questions, instrument, { groupOf }), RangeError);
+    assert.throws(() => analyzeDif([], questions, instrument, {}), RangeError);
+});
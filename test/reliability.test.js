@@ -0,0 +1,63 @@
+/**
+ * test/reliability.test.js: Information, marginal reliability and alpha of reliability.js
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { informationCurves, internalConsistency, marginalReliability } from '../reliability.js';
+import { createItemBank } from './simulatedResponses.js';
+
+function close(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+}
+
+test('information of a 2PL item peaks at its location with a² / 4', () => {
+    const { instrument } = createItemBank([{ a: 2, b: 0.5 }]);
+    const curve = informationCurves(instrument, { min: -1, max: 1, step: 0.5 })['E-I'];
+    assert.deepEqual(curve.map(point => point.theta), [-1, -0.5, 0, 0.5, 1]);
+    close(curve[3].information, 1);
+    close(curve[3].standardError, 1);
+
+    const { peak } = marginalReliability(instrument)['E-I'];
+    assert.equal(peak.theta, 0.5);
+    close(peak.information, 1);
+});
+
+test('marginal reliability grows with the number of items', () => {
+    const items = [{ a: 1.2, b: -0.5 }, { a: 1, b: 0 }, { a: 1.5, b: 0.5 }];
+    const short = marginalReliability(createItemBank(items).instrument)['E-I'];
+    const long = marginalReliability(createItemBank([...items, ...items, ...items]).instrument)['E-I'];
+    assert.equal(long.items, 9);
+    assert.ok(short.marginalReliability > 0 && short.marginalReliability < long.marginalReliability && long.marginalReliability < 1);
+    close(long.marginalReliability, 1 / (1 + long.expectedErrorVariance));
+});
+
+test('alpha and KR-20 of a worked example', () => {
+    // Item scores of a Guttman pattern: totals 3, 2, 1, 0 (variance 5/3) and item
+    // variances 1/4, 1/3, 1/4, so alpha = 3/2 · (1 − (5/6) / (5/3)) = 0.75.
+    const { instrument, questions } = createItemBank([{ a: 1, b: -1 }, { a: 1, b: 0 }, { a: 1, b: 1 }]);
+    const records = [['A', 'A', 'A'], ['A', 'A', 'B'], ['A', 'B', 'B'], ['B', 'B', 'B'], ['A', 'A']]
+        .map(choices => ({ answers: Object.fromEntries(choices.map((choice, index) => [index + 1, { choice }])) }));
+    const result = internalConsistency(records, questions, instrument)['E-I'];
+
+    assert.equal(result.respondents, 4);
+    assert.equal(result.incomplete, 1);
+    close(result.alpha, 0.75);
+    close(result.kr20, 0.75);
+    assert.deepEqual(result.items.map(item => item.positiveShare), [0.75, 0.5, 0.25]);
+    // Without the middle item, the two others (variances 1/4 each, covariance 1/12) give 0.5.
+    close(result.items[1].alphaIfDeleted, 0.5);
+});
+
+test('leaves alpha out when the scores do not vary', () => {
+    const { instrument, questions } = createItemBank([{ a: 1, b: 0 }, { a: 1, b: 0 }]);
+    const records = [{ answers: { 1: { choice: 'A' }, 2: { choice: 'A' } } }, { answers: { 1: { choice: 'A' }, 2: { choice: 'A' } } }];
+    const result = internalConsistency(records, questions, instrument)['E-I'];
+    assert.equal(result.alpha, null);
+    assert.equal(result.kr20, null);
+});
+
+test('rejects an invalid theta grid', () => {
+    const { instrument } = createItemBank([{ a: 1, b: 0 }]);
+    assert.throws(() => informationCurves(instrument, { min: 1, max: -1 }), RangeError);
+});
@@ -0,0 +1,145 @@
+/**
+ * test/resultRecord.test.js: Building, checking and migrating result records of resultRecord.js
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+    RESULT_RECORD_VERSION,
+    buildResultRecord,
+    checkResultRecord,
+    hashQuestionSet,
+    migrateLegacyResult,
+    recordAnswers
+} from '../resultRecord.js';
+import { calculateResults } from '../scorer.js';
+import { createItemBank } from './simulatedResponses.js';
+
+const { instrument, questions } = createItemBank(Array(6).fill({ a: 1, b: 0 }));
+const dichotomyResults = { 'E-I': { preference: 'E', theta: 0.42, standardError: 0.81 } };
+
+function build(answers, options = {}) {
+    return buildResultRecord({
+        instrument,
+        questionSetHash: hashQuestionSet(questions),
+        answers,
+        estimator: 'MLE',
+        scoringProfile: 'test-profile',
+        dichotomyResults,
+        engineVersion: '1.0',
+        ...options
+    });
+}
+
+test('a fixed administration records every item as answered or omitted', () => {
+    const record = build(
+        [{ choice: 'A', latencyMs: 3100, changes: 1 }, null, { choice: 'B', latencyMs: 2500, changes: 0 }, null, { choice: 'A' }, null],
+        { timings: [null, { latencyMs: 900, changes: 2 }] }
+    );
+    assert.equal(record.record_version, RESULT_RECORD_VERSION);
+    assert.equal(record.engine_version, '1.0');
+    assert.deepEqual(record.form, { id: 'test-bank', version: '1', question_set_hash: hashQuestionSet(questions) });
+    assert.equal(record.administration, 'fixed');
+    assert.deepEqual(record.scoring, { estimator: 'MLE', scoring_profile: 'test-profile' });
+    assert.deepEqual(record.thetas, { 'E-I': { theta: 0.42, standard_error: 0.81 } });
+    assert.deepEqual(record.responses, {
+        1: { status: 'answered', choice: 'A', latency_ms: 3100, changes: 1 },
+        // An answer that was given and cleared keeps its changes.
+        2: { status: 'omitted', choice: null, latency_ms: null, changes: 2 },
+        3: { status: 'answered', choice: 'B', latency_ms: 2500, changes: 0 },
+        4: { status: 'omitted', choice: null, latency_ms: null, changes: 0 },
+        5: { status: 'answered', choice: 'A', latency_ms: null, changes: null },
+        6: { status: 'omitted', choice: null, latency_ms: null, changes: 0 }
+    });
+    assert.deepEqual(checkResultRecord(record, instrument, questions.length), []);
+    assert.deepEqual(recordAnswers(record), { 1: { choice: 'A' }, 3: { choice: 'B' }, 5: { choice: 'A' } });
+});
+
+test('an adaptive administration tells omitted items from items never shown', () => {
+    const record = build([{ choice: 'A' }, null, { choice: 'B' }, null, null, null], { administered: [0, 1, 2], estimator: 'EAP' });
+    assert.equal(record.administration, 'adaptive');
+    assert.deepEqual(Object.values(record.responses).map(({ status }) => status),
+        ['answered', 'omitted', 'answered', 'not-administered', 'not-administered', 'not-administered']);
+    assert.deepEqual(checkResultRecord(record, instrument, questions.length), []);
+});
+
+test('malformed records are reported item by item', () => {
+    const record = build([{ choice: 'A' }, null, null, null, null, null]);
+    assert.deepEqual(checkResultRecord(null, instrument, 6), ['The result record must be an object.']);
+    assert.match(checkResultRecord({ ...record, record_version: 2 }, instrument, 6)[0], /Unsupported result record version 2/);
+
+    const broken = structuredClone(record);
+    broken.form.id = 'form-m';
+    broken.responses[1].choice = 'C';
+    broken.responses[2] = { status: 'skipped', choice: null, latency_ms: null, changes: null };
+    broken.responses[3].latency_ms = -5;
+    broken.responses[4].changes = 0.5;
+    delete broken.responses[5];
+    broken.responses[7] = broken.responses[6];
+    const errors = checkResultRecord(broken, instrument, 6);
+    assert.equal(errors.length, 7);
+    assert.match(errors.join('\n'), /form "form-m", not "test-bank"/);
+    assert.match(errors.join('\n'), /keys that are not item numbers 1 to 6: 7/);
+    assert.match(errors.join('\n'), /Item 1 is answered with choice "C"/);
+    assert.match(errors.join('\n'), /Item 2 has status "skipped"/);
+    assert.match(errors.join('\n'), /Item 3 has latency_ms -5/);
+    assert.match(errors.join('\n'), /Item 4 has changes 0.5/);
+    assert.match(errors.join('\n'), /Item 5 has no response entry/);
+});
+
+test('a legacy row of a fixed administration becomes a record with omitted items', () => {
+    const row = {
+        raw_answers: [
+            { questionIndex: 0, choice: 'A', latencyMs: 2000, changes: 0 },
+            null,
+            { questionIndex: 3, choice: 'B' },
+            { questionIndex: 4, choice: 'A', latencyMs: 1500, changes: 1 }
+        ],
+        instrument_id: 'test-bank',
+        instrument_version: '1',
+        administration: 'fixed',
+        scoring_profile: 'test-profile',
+        reported_type: dichotomyResults
+    };
+    const record = migrateLegacyResult(row, instrument, questions.length);
+    assert.equal(record.migrated_from, 'raw_answers');
+    assert.equal(record.engine_version, null);
+    assert.deepEqual(record.form, { id: 'test-bank', version: '1', question_set_hash: null });
+    assert.deepEqual(record.scoring, { estimator: 'MLE', scoring_profile: 'test-profile' });
+    assert.deepEqual(record.thetas, { 'E-I': { theta: 0.42, standard_error: 0.81 } });
+    assert.deepEqual(Object.values(record.responses).map(({ status, choice }) => `${status}:${choice}`),
+        ['answered:A', 'omitted:null', 'omitted:null', 'answered:B', 'answered:A', 'omitted:null']);
+    assert.deepEqual(record.responses[5], { status: 'answered', choice: 'A', latency_ms: 1500, changes: 1 });
+    assert.deepEqual(record.responses[4], { status: 'answered', choice: 'B', latency_ms: null, changes: null });
+    assert.deepEqual(checkResultRecord(record, instrument, questions.length), []);
+
+    // The migrated answers score like the originals.
+    const original = { 1: { choice: 'A' }, 4: { choice: 'B' }, 5: { choice: 'A' } };
+    assert.deepEqual(
+        calculateResults(recordAnswers(record), { items: questions }, { instrument }).dichotomyResults,
+        calculateResults(original, { items: questions }, { instrument }).dichotomyResults
+    );
+});
+
+test('a legacy row without its administration marks unanswered items unknown', () => {
+    const record = migrateLegacyResult({ raw_answers: [{ questionIndex: 1, choice: 'B' }] }, instrument, questions.length);
+    assert.equal(record.administration, null);
+    assert.deepEqual(record.scoring, { estimator: null, scoring_profile: null });
+    assert.deepEqual(record.form, { id: 'test-bank', version: null, question_set_hash: null });
+    assert.deepEqual(record.thetas, {});
+    assert.deepEqual(Object.values(record.responses).map(({ status }) => status),
+        ['unknown', 'answered', 'unknown', 'unknown', 'unknown', 'unknown']);
+
+    const adaptive = migrateLegacyResult({ raw_answers: [], administration: 'adaptive' }, instrument, questions.length);
+    assert.equal(adaptive.scoring.estimator, 'EAP');
+    assert.ok(Object.values(adaptive.responses).every(({ status }) => status === 'unknown'));
+});
+
+test('unreadable legacy rows are refused', () => {
+    const migrate = row => () => migrateLegacyResult(row, instrument, questions.length);
+    assert.throws(migrate({ raw_answers: [], instrument_id: 'form-m' }), { name: 'RangeError', message: /form "form-m"/ });
+    assert.throws(migrate({}), { name: 'RangeError', message: /missing or not a list/ });
+    assert.throws(migrate({ raw_answers: [{ questionIndex: 6, choice: 'A' }] }), { name: 'RangeError', message: /outside 0..5/ });
+    assert.throws(migrate({ raw_answers: [{ questionIndex: 0, choice: 'C' }] }), { name: 'RangeError', message: /expected A or B/ });
+    assert.throws(migrate({ raw_answers: [{ questionIndex: 0, choice: 'A' }, { questionIndex: 0, choice: 'B' }] }), { name: 'RangeError', message: /more than once/ });
+});
@@ -0,0 +1,92 @@
+/**
+ * test/resultToken.test.js: Round trips and tampered tokens of resultToken.js
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { getInstrument } from '../instruments.js';
+import { hashQuestionSet } from '../resultRecord.js';
+import { RESULT_TOKEN_VERSION, decodeResultToken, encodeResultToken } from '../resultToken.js';
+import { createItemBank } from './simulatedResponses.js';
+
+const formM = getInstrument();
+const formMQuestions = JSON.parse(readFileSync(new URL(`../${formM.questionsFile}`, import.meta.url), 'utf8'))[formM.questionsKey];
+const formMHash = hashQuestionSet(formMQuestions);
+
+const answers = formMQuestions.map((_, index) => (index % 7 === 3 ? null : index % 3 === 0 ? 'B' : 'A'));
+
+function bytesOf(token) {
+    return Uint8Array.from(atob(token.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - token.length % 4) % 4)), char => char.charCodeAt(0));
+}
+
+function tokenOf(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+test('a Form M result fits a 43-character token and decodes to the same answers', () => {
+    const token = encodeResultToken({ questionSetHash: formMHash, answers, speeded: true, bestFit: [0, 1, 1, 0] });
+    assert.equal(token.length, 43);
+    assert.match(token, /^[A-Za-z0-9_-]+$/);
+
+    const decoded = decodeResultToken(token);
+    assert.equal(decoded.questionSetHash, formMHash);
+    assert.deepEqual(decoded.answers, answers);
+    assert.deepEqual(decoded.bestFit, [0, 1, 1, 0]);
+    assert.equal(decoded.adaptive, false);
+    assert.equal(decoded.speeded, true);
+    // Skipped questions of the fixed form were shown, so every question was administered.
+    assert.equal(decoded.administered.length, formMQuestions.length);
+});
+
+test('an adaptive result keeps which unanswered questions were shown', () => {
+    const shortAnswers = ['A', null, 'B', null, null, 'A'];
+    const token = encodeResultToken({ questionSetHash: 'abc', answers: shortAnswers, administered: [0, 1, 2, 5], adaptive: true, bestFit: [1] });
+    const decoded = decodeResultToken(token, 1);
+    assert.deepEqual(decoded.answers, shortAnswers);
+    assert.deepEqual(decoded.administered, [0, 1, 2, 5]);
+    assert.deepEqual(decoded.bestFit, [1]);
+    assert.equal(decoded.adaptive, true);
+    assert.equal(decoded.questionSetHash, 'abc');
+});
+
+test('malformed input is refused when encoding', () => {
+    assert.throws(() => encodeResultToken({ questionSetHash: 'not hex', answers, bestFit: [0] }), RangeError);
+    assert.throws(() => encodeResultToken({ questionSetHash: formMHash, answers: ['C'], bestFit: [0] }), RangeError);
+    assert.throws(() => encodeResultToken({ questionSetHash: formMHash, answers, bestFit: [0, 2] }), RangeError);
+    assert.throws(() => encodeResultToken({ questionSetHash: formMHash, answers, bestFit: [0, 0, 0, 0, 0] }), RangeError);
+});
+
+test('tokens that are not base64url, truncated or padded are refused', () => {
+    const token = encodeResultToken({ questionSetHash: formMHash, answers, bestFit: [0, 0, 0, 0] });
+    assert.throws(() => decodeResultToken(`${token.slice(0, 20)}+/${token.slice(22)}`), { name: 'RangeError', message: /outside base64url/ });
+    assert.throws(() => decodeResultToken(`${token}=`), RangeError);
+    assert.throws(() => decodeResultToken(''), RangeError);
+    // One base64url character more than a whole number of bytes cannot be decoded.
+    assert.throws(() => decodeResultToken(`${token}AA`.slice(0, 45)), { name: 'RangeError', message: /not valid base64url/ });
+    assert.throws(() => decodeResultToken(token.slice(0, 8)), { name: 'RangeError', message: /too short/ });
+    assert.throws(() => decodeResultToken(token.slice(0, 40)), { name: 'RangeError', message: /does not match its 93 questions/ });
+});
+
+test('a token of another token version is refused', () => {
+    const bytes = bytesOf(encodeResultToken({ questionSetHash: formMHash, answers, bestFit: [0, 0, 0, 0] }));
+    assert.equal(bytes[0], RESULT_TOKEN_VERSION);
+    bytes[0] = RESULT_TOKEN_VERSION + 1;
+    assert.throws(() => decodeResultToken(tokenOf(bytes)), { name: 'RangeError', message: new RegExp(`version ${RESULT_TOKEN_VERSION + 1}`) });
+});
+
+test('a token of another instrument or item bank carries a different question set hash', () => {
+    // decodeResultToken leaves the hash check to the caller (app.js compares it and the
+    // question count with the loaded bank); it must survive the round trip to allow that.
+    const { questions } = createItemBank(Array(93).fill({ a: 1, b: 0 }));
+    const otherHash = hashQuestionSet(questions);
+    assert.notEqual(otherHash, formMHash);
+    const decoded = decodeResultToken(encodeResultToken({ questionSetHash: otherHash, answers, bestFit: [0] }), 1);
+    assert.equal(decoded.questionSetHash, otherHash);
+    assert.notEqual(decoded.questionSetHash, formMHash);
+
+    // Editing the hash bytes of a Form M token changes the decoded hash the same way.
+    const bytes = bytesOf(encodeResultToken({ questionSetHash: formMHash, answers, bestFit: [0, 0, 0, 0] }));
+    bytes[4] ^= 0xff;
+    assert.notEqual(decodeResultToken(tokenOf(bytes)).questionSetHash, formMHash);
+});
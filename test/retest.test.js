@@ -0,0 +1,65 @@
+/**
+ * test/retest.test.js: Reliable change and flipped letters of retest.js
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { RELIABLE_CHANGE_Z, compareResults } from '../retest.js';
+
+function close(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+}
+
+function result(preference, theta, standardError, pci = 10, pcc = 'Moderate') {
+    return { preference, pci, pcc, theta, standardError, personFit: { lz: 0, misfit: false }, dichotomyName: 'ignored' };
+}
+
+test('the RCI divides the change in theta by the combined standard error', () => {
+    // SE of the change: √(0.3² + 0.4²) = 0.5.
+    const { 'E-I': change } = compareResults({ 'E-I': result('E', 0.2, 0.3) }, { 'E-I': result('I', -1.05, 0.4) });
+    close(change.thetaChange, -1.25);
+    close(change.standardErrorOfChange, 0.5);
+    close(change.reliableChangeIndex, -2.5);
+    assert.equal(change.exceedsError, true);
+    assert.equal(change.flipped, true);
+    assert.deepEqual(change.previous, { preference: 'E', pci: 10, pcc: 'Moderate', theta: 0.2, standardError: 0.3 });
+    assert.equal(change.current.theta, -1.05);
+});
+
+test('a letter can flip near the midpoint without a change beyond measurement error', () => {
+    const { 'T-F': change } = compareResults({ 'T-F': result('T', 0.1, 0.4, 1, 'Slight') }, { 'T-F': result('F', -0.1, 0.4, 1, 'Slight') });
+    assert.equal(change.flipped, true);
+    assert.equal(change.exceedsError, false);
+    assert.ok(Math.abs(change.reliableChangeIndex) < RELIABLE_CHANGE_Z);
+});
+
+test('a large change within the same letter is reported without a flip', () => {
+    const { 'S-N': change } = compareResults({ 'S-N': result('S', 0.3, 0.3) }, { 'S-N': result('S', 2.5, 0.5) });
+    assert.equal(change.flipped, false);
+    assert.equal(change.exceedsError, true);
+});
+
+test('the threshold is |RCI| > 1.96, exclusive', () => {
+    // With SEs of 0.6 and 0.8 the change's SE is 1, so the RCI equals the change.
+    const compare = theta => compareResults({ 'J-P': result('J', 0, 0.6) }, { 'J-P': result('J', theta, 0.8) })['J-P'];
+    assert.equal(compare(1.96).exceedsError, false);
+    assert.equal(compare(1.97).exceedsError, true);
+    assert.equal(compare(-1.97).exceedsError, true);
+});
+
+test('without a standard error the change is not judged', () => {
+    const { 'E-I': change } = compareResults({ 'E-I': result('I', 0, null) }, { 'E-I': result('E', 1.2, 0.4) });
+    assert.equal(change.standardErrorOfChange, null);
+    assert.equal(change.reliableChangeIndex, null);
+    assert.equal(change.exceedsError, null);
+    assert.equal(change.flipped, true);
+});
+
+test('dichotomies follow the requested order and must be present in both results', () => {
+    const previous = { 'E-I': result('E', 1, 0.4), 'S-N': result('N', -1, 0.4) };
+    const current = { 'S-N': result('N', -1.2, 0.4), 'E-I': result('E', 1.1, 0.4) };
+    assert.deepEqual(Object.keys(compareResults(previous, current)), ['S-N', 'E-I']);
+    assert.deepEqual(Object.keys(compareResults(previous, current, ['E-I', 'S-N'])), ['E-I', 'S-N']);
+    assert.throws(() => compareResults(previous, current, ['E-I', 'T-F']), { name: 'RangeError', message: /T-F/ });
+    assert.throws(() => compareResults({ 'E-I': previous['E-I'] }, current), RangeError);
+});
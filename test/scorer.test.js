@@ -0,0 +1,230 @@
+/**
+ * test/scorer.test.js: Known answers of the estimators, standard errors, confidence intervals, facets and person fit of scorer.js
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { getDichotomyItemIndices, getInstrument } from '../instruments.js';
+import { calculateResults } from '../scorer.js';
+import { createItemBank } from './simulatedResponses.js';
+
+// Answers choosing `choices[i]` for item i + 1; A is keyed towards E, B towards I.
+function answersOf(choices) {
+    return Object.fromEntries([...choices].map((choice, index) => [index + 1, { choice }]));
+}
+
+function scoreBank(params, choices, options = {}) {
+    const { instrument, questions } = createItemBank(params);
+    return calculateResults(answersOf(choices), { items: questions }, { instrument, ...options }).dichotomyResults['E-I'];
+}
+
+const TEN_ITEMS = Array(10).fill({ a: 1, b: 0 });
+
+const formM = getInstrument();
+const formMQuestions = JSON.parse(readFileSync(new URL(`../${formM.questionsFile}`, import.meta.url), 'utf8'))[formM.questionsKey];
+
+// Form M answers choosing the option keyed `scoreKey`, except for the items of `reversedFacet`.
+function formMAnswers(scoreKey, reversedFacet = null) {
+    return Object.fromEntries(formMQuestions.map(question => {
+        const key = question.facet === reversedFacet ? 1 - scoreKey : scoreKey;
+        return [question.number, { choice: Object.keys(question.options).find(option => question.options[option].scoreKey === key) }];
+    }));
+}
+
+function scoreFormMFacets(answers, options = {}) {
+    return calculateResults(answers, { [formM.questionsKey]: formMQuestions }, { facets: true, ...options }).facetResults;
+}
+
+test('one keyed item: MAP solves θ = 1 / (1 + e^θ) and EAP is 2·E[P·Q] under N(0, 1)', () => {
+    // The MAP equation's root is 0.4012; by Stein's lemma the posterior mean is
+    // E[θ·P(θ)] / E[P(θ)] = E[P·Q] / 0.5 = 0.4132.
+    assert.equal(scoreBank([{ a: 1, b: 0 }], 'A', { estimator: 'MAP' }).theta, 0.4);
+    assert.equal(scoreBank([{ a: 1, b: 0 }], 'A', { estimator: 'EAP' }).theta, 0.41);
+});
+
+test('all-keyed patterns stop at the MLE clamp but stay finite and symmetric under MAP and EAP', () => {
+    for (const estimator of ['MLE', 'MAP', 'EAP']) {
+        const positive = scoreBank(TEN_ITEMS, 'A'.repeat(10), { estimator });
+        const negative = scoreBank(TEN_ITEMS, 'B'.repeat(10), { estimator });
+        assert.equal(positive.preference, 'E');
+        assert.equal(negative.preference, 'I');
+        assert.equal(negative.theta, -positive.theta, estimator);
+        if (estimator === 'MLE') {
+            assert.equal(positive.theta, 3);
+            assert.equal(positive.pci, 30);
+        } else {
+            assert.ok(positive.theta > 1 && positive.theta < 3, `${estimator}: θ ${positive.theta}`);
+            assert.ok(positive.pci < 30, `${estimator}: PCI ${positive.pci}`);
+        }
+    }
+
+    // A tighter prior pulls the posterior towards its mean.
+    const wide = scoreBank(TEN_ITEMS, 'A'.repeat(10), { estimator: 'MAP', prior: { sd: 2 } });
+    const narrow = scoreBank(TEN_ITEMS, 'A'.repeat(10), { estimator: 'MAP', prior: { sd: 0.5 } });
+    assert.ok(narrow.theta < wide.theta);
+});
+
+test('without answers MLE falls back to the tie-breaker and EAP to the prior', () => {
+    const mle = scoreBank(TEN_ITEMS, '');
+    assert.equal(mle.theta, 0);
+    assert.equal(mle.preference, 'I');
+    assert.equal(mle.standardError, null);
+
+    const eap = scoreBank(TEN_ITEMS, '', { estimator: 'EAP', prior: { mean: 0.5, sd: 2 } });
+    assert.equal(eap.theta, 0.5);
+    assert.equal(eap.preference, 'E');
+    assert.equal(eap.standardError, 2);
+});
+
+test('a balanced pattern has SE = 2 / (a·√n) at θ = 0, halving with four times the items', () => {
+    const short = scoreBank(Array(4).fill({ a: 1, b: 0 }), 'ABAB');
+    const long = scoreBank(Array(16).fill({ a: 1, b: 0 }), 'AB'.repeat(8));
+    assert.equal(short.theta, 0);
+    assert.equal(short.standardError, 1);
+    assert.equal(long.standardError, 0.5);
+    assert.deepEqual(short.confidenceInterval, { level: 0.95, lower: -1.96, upper: 1.96 });
+    assert.deepEqual(long.confidenceInterval, { level: 0.95, lower: -0.98, upper: 0.98 });
+    assert.equal(long.oppositePoleProbability, 0.5);
+
+    const ninety = scoreBank(Array(16).fill({ a: 1, b: 0 }), 'AB'.repeat(8), { confidenceLevel: 0.9 });
+    assert.deepEqual(ninety.confidenceInterval, { level: 0.9, lower: -0.82, upper: 0.82 });
+
+    // MAP adds the prior precision: I = 4 · 1/4 + 1 gives SE = 1 / √2.
+    assert.equal(scoreBank(Array(4).fill({ a: 1, b: 0 }), 'ABAB', { estimator: 'MAP' }).standardError, 0.71);
+});
+
+test('standard errors shrink as items are added, for every estimator', () => {
+    for (const estimator of ['MLE', 'MAP', 'EAP']) {
+        const errors = [4, 8, 16, 32].map(n => scoreBank(Array(n).fill({ a: 1.2, b: 0.3 }), 'AB'.repeat(n / 2), { estimator }).standardError);
+        for (let i = 1; i < errors.length; i++) {
+            assert.ok(errors[i] < errors[i - 1], `${estimator}: ${errors.join(', ')}`);
+        }
+    }
+});
+
+test('invalid options are rejected', () => {
+    assert.throws(() => scoreBank(TEN_ITEMS, 'A', { estimator: 'WLE' }), RangeError);
+    assert.throws(() => scoreBank(TEN_ITEMS, 'A', { confidenceLevel: 1 }), RangeError);
+    assert.throws(() => scoreBank(TEN_ITEMS, 'A', { prior: { sd: 0 } }), RangeError);
+    assert.throws(() => scoreBank(TEN_ITEMS, 'A', { estimator: 'EAP', quadraturePoints: 1 }), RangeError);
+});
+
+test('facets cover every Form M item and are scored on the -5 to +5 scale from their EAP theta', () => {
+    const facetResults = scoreFormMFacets(formMAnswers(1));
+    const facets = Object.values(facetResults).flat();
+    assert.equal(facets.length, 20);
+    assert.equal(facets.reduce((sum, facet) => sum + facet.itemCount, 0), formMQuestions.length);
+    for (const { dichotomy, count } of formM.dichotomies.map(({ name }) => ({ dichotomy: name, count: facetResults[name].length }))) {
+        assert.equal(count, 5, dichotomy);
+    }
+
+    for (const facet of facets) {
+        assert.equal(facet.answeredCount, facet.itemCount);
+        assert.ok(facet.theta > 0, facet.facetName);
+        assert.equal(facet.score, Math.round((facet.theta / formM.scoringProfile.maxTheta) * 5), facet.facetName);
+        assert.equal(facet.pole, facet.score > 0 ? facet.poles[0] : null);
+        assert.equal(facet.status, facet.score <= 1 ? 'midzone' : 'in-preference', facet.facetName);
+    }
+
+    // A smaller maxTheta stretches the scale, which is capped at ±5.
+    const stretched = Object.values(scoreFormMFacets(formMAnswers(1), { scoringProfile: { maxTheta: 0.5 } })).flat();
+    stretched.forEach((facet, index) => {
+        assert.equal(facet.score, Math.min(5, Math.round((facets[index].theta / 0.5) * 5)), facet.facetName);
+    });
+    assert.ok(stretched.some(facet => facet.score === 5));
+});
+
+test('a facet answered against the preference of its dichotomy is out-of-preference', () => {
+    const facets = scoreFormMFacets(formMAnswers(1, 'Initiating / Receiving'))['E-I'];
+    const reversed = facets.find(facet => facet.facetName === 'Initiating / Receiving');
+    assert.ok(reversed.score < -1);
+    assert.equal(reversed.pole, 'Receiving');
+    assert.equal(reversed.status, 'out-of-preference');
+    assert.equal(facets.find(facet => facet.facetName === 'Gregarious / Intimate').status, 'in-preference');
+
+    // Answered the other way round, every facet but the reversed one leans to its second pole.
+    for (const facet of scoreFormMFacets(formMAnswers(0, 'Initiating / Receiving'))['E-I']) {
+        assert.ok(facet.facetName === 'Initiating / Receiving' ? facet.theta > 0 : facet.theta < 0, facet.facetName);
+    }
+});
+
+test('unanswered facets sit at 0 in the midzone without a pole', () => {
+    for (const facet of Object.values(scoreFormMFacets({})).flat()) {
+        assert.deepEqual([facet.score, facet.theta, facet.pole, facet.status, facet.answeredCount], [0, 0, null, 'midzone', 0]);
+    }
+});
+
+// Twenty items from easy (b = -1.9) to hard (b = 1.9) to endorse. With equal slopes the
+// number of A answers fixes theta, so a Guttman pattern and its reverse share an estimate.
+const LADDER = Array.from({ length: 20 }, (_, index) => ({ a: 1.5, b: -1.9 + 0.2 * index }));
+
+function scoreLadder(choices) {
+    const { instrument, questions } = createItemBank(LADDER);
+    return calculateResults(answersOf(choices), { items: questions }, { instrument });
+}
+
+test('lz is positive for a Guttman pattern and far below -1.96 for its reverse at the same theta', () => {
+    const guttman = scoreLadder('A'.repeat(10) + 'B'.repeat(10));
+    const reversed = scoreLadder('B'.repeat(10) + 'A'.repeat(10));
+    const { theta, personFit } = guttman.dichotomyResults['E-I'];
+    assert.equal(Math.abs(theta), 0);
+    assert.equal(Math.abs(reversed.dichotomyResults['E-I'].theta), 0);
+    assert.ok(personFit.lz > 1, `Guttman lz ${personFit.lz}`);
+    assert.equal(personFit.misfit, false);
+    assert.ok(reversed.dichotomyResults['E-I'].personFit.lz < -5, `reversed lz ${reversed.dichotomyResults['E-I'].personFit.lz}`);
+    assert.equal(reversed.dichotomyResults['E-I'].personFit.misfit, true);
+
+    // One misfitting dichotomy is reported but does not invalidate the result.
+    assert.deepEqual(reversed.validity.misfitDichotomies, ['E-I']);
+    assert.equal(reversed.validity.isValid, true);
+
+    assert.deepEqual(scoreBank(TEN_ITEMS, 'A').personFit, { lz: null, misfit: false });
+});
+
+test('misfit in two Form M dichotomies invalidates the result', () => {
+    // Per dichotomy, endorse the keyed pole on the items hardest to endorse and the other
+    // pole on the easiest ones in `reversed`, and the other way round elsewhere.
+    const scoreReversed = reversed => {
+        const answers = {};
+        for (const [name, indices] of getDichotomyItemIndices(formM)) {
+            const byLocation = [...indices].sort((x, y) => formM.itemParameters[x].params.b - formM.itemParameters[y].params.b);
+            byLocation.forEach((index, rank) => {
+                const hard = rank >= byLocation.length / 2;
+                const scoreKey = reversed.includes(name) === hard ? 1 : 0;
+                const { options, number } = formMQuestions[index];
+                answers[number] = { choice: Object.keys(options).find(option => options[option].scoreKey === scoreKey) };
+            });
+        }
+        return calculateResults(answers, { [formM.questionsKey]: formMQuestions }).validity;
+    };
+
+    assert.deepEqual(scoreReversed([]).misfitDichotomies, []);
+    assert.deepEqual(scoreReversed(['E-I']).flags, []);
+    const validity = scoreReversed(['E-I', 'S-N']);
+    assert.deepEqual(validity.misfitDichotomies, ['E-I', 'S-N']);
+    assert.deepEqual(validity.flags, ['person-misfit']);
+    assert.equal(validity.isValid, false);
+});
+
+test('straight-lining and alternation are flagged once twenty items are answered', () => {
+    const straight = scoreLadder('A'.repeat(20)).validity;
+    assert.deepEqual(straight.flags, ['straight-lining']);
+    assert.equal(straight.responsePattern.dominantOption, 'A');
+    assert.equal(straight.responsePattern.sameOptionShare, 1);
+
+    const alternating = scoreLadder('AB'.repeat(10)).validity;
+    assert.deepEqual(alternating.flags, ['alternating']);
+    assert.equal(alternating.responsePattern.alternationRate, 1);
+
+    // The Guttman pattern switches once in nineteen pairs.
+    const guttman = scoreLadder('A'.repeat(10) + 'B'.repeat(10)).validity;
+    assert.equal(guttman.responsePattern.alternationRate, 0.05);
+    assert.deepEqual(guttman.flags, []);
+
+    for (const choices of ['A'.repeat(19), 'AB'.repeat(9) + 'A']) {
+        const { flags, responsePattern } = scoreLadder(choices).validity;
+        assert.equal(responsePattern.answeredCount, 19);
+        assert.deepEqual(flags, []);
+    }
+});
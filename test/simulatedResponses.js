@@ -0,0 +1,74 @@
+/**
+ * test/simulatedResponses.js: Small item banks and seeded 2PL response records for the tests
+ *
+ * The analyses are checked against data whose generating parameters are known. An item
+ * bank here is one dichotomy of items keyed A (positive pole) / B, in the shapes of
+ * instruments.js and questions.json, and the records are those responseFile.js reads.
+ * The tests run with Node's own runner: `node --test test/*.test.js`.
+ */
+
+import { probability } from '../scorer.js';
+
+/**
+ * Mulberry32, as in simulation.js: uniform numbers in [0, 1) from a 32-bit seed.
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function createNormal(random) {
+    return () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * An instrument with the 2PL parameters `params` ([{ a, b }] in item order) for the single
+ * dichotomy E-I, and its item array. Its scoring profile is Form M's without midpoint
+ * adjustments, so the scorer reports the sign of theta.
+ */
+export function createItemBank(params) {
+    const instrument = {
+        id: 'test-bank',
+        version: '1',
+        questionsKey: 'items',
+        dichotomies: [{ name: 'E-I', poles: ['E', 'I'], facets: [] }],
+        itemParameters: Object.fromEntries(params.map(({ a, b }, index) => [String(index), { dichotomy: 'E-I', params: { a, b } }])),
+        scoringProfile: {
+            id: 'test-profile',
+            maxTheta: 3.0,
+            pciMax: 30,
+            tieBreakers: { 'E-I': 'I' },
+            pccCutPoints: [
+                { minPci: 26, category: 'Very Clear' },
+                { minPci: 16, category: 'Clear' },
+                { minPci: 6, category: 'Moderate' },
+                { minPci: 1, category: 'Slight' }
+            ],
+            midpointAdjustments: []
+        }
+    };
+    const questions = params.map((_, index) => ({
+        number: index + 1,
+        dichotomy: 'E-I',
+        options: { A: { pole: 'E', scoreKey: 1 }, B: { pole: 'I', scoreKey: 0 } }
+    }));
+    return { instrument, questions };
+}
+
+/**
+ * Answers of a respondent at `theta` to items with parameters `params`, keyed by item
+ * number. `shift` adds to the location of single items ({ [index]: delta }).
+ */
+export function simulateRecord(theta, params, random, shift = {}) {
+    const answers = {};
+    params.forEach(({ a, b }, index) => {
+        answers[index + 1] = { choice: random() < probability(theta, a, b + (shift[index] || 0)) ? 'A' : 'B' };
+    });
+    return { answers };
+}
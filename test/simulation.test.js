@@ -0,0 +1,43 @@
+/**
+ * test/simulation.test.js: Recovery of known thetas through simulation.js and the scorer
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { getInstrument } from '../instruments.js';
+import { runSimulation } from '../simulation.js';
+
+const instrument = getInstrument();
+const questions = JSON.parse(readFileSync(new URL(`../${instrument.questionsFile}`, import.meta.url), 'utf8'))[instrument.questionsKey];
+
+for (const estimator of ['MLE', 'EAP']) {
+    test(`${estimator} estimates of Form M are unbiased and as precise as reported`, () => {
+        const result = runSimulation(questions, instrument, { respondents: 1000, seed: 5, scoring: { estimator } });
+        for (const [name, { bias, rmse, meanStandardError, agreement }] of Object.entries(result.dichotomies)) {
+            assert.ok(Math.abs(bias) < 0.1, `${name}: bias ${bias}`);
+            assert.ok(Math.abs(rmse - meanStandardError) < 0.2 * meanStandardError, `${name}: RMSE ${rmse}, mean SE ${meanStandardError}`);
+            assert.ok(agreement > 0.8, `${name}: agreement ${agreement}`);
+        }
+        assert.equal(result.flaggedInvalid, 0);
+    });
+}
+
+test('random responding leaves preferences at chance and is flagged', () => {
+    const result = runSimulation(questions, instrument, { respondents: 200, seed: 5, randomResponseRate: 1 });
+    for (const [name, { agreement }] of Object.entries(result.dichotomies)) {
+        assert.ok(Math.abs(agreement - 0.5) < 0.15, `${name}: agreement ${agreement}`);
+    }
+    assert.ok(result.flaggedInvalid > 0.5, `flagged ${result.flaggedInvalid}`);
+});
+
+test('repeats exactly for the same seed', () => {
+    const options = { respondents: 50, seed: 9, omissionRate: 0.1 };
+    assert.deepEqual(runSimulation(questions, instrument, options), runSimulation(questions, instrument, options));
+});
+
+test('rejects invalid options', () => {
+    assert.throws(() => runSimulation(questions, instrument, { respondents: 0 }), RangeError);
+    assert.throws(() => runSimulation(questions, instrument, { omissionRate: 1.5 }), RangeError);
+    assert.throws(() => runSimulation(questions, instrument, { thetaDistribution: { type: 'normal', sd: 0 } }), RangeError);
+});
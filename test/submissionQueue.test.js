@@ -0,0 +1,184 @@
+/**
+ * test/submissionQueue.test.js: Queued, retried, refused and exported uploads of submissionQueue.js
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+    QUEUE_ENTRY_VERSION,
+    QUEUE_STORAGE_KEY,
+    REJECTED_STORAGE_KEY,
+    enqueueSubmission,
+    flushQueue,
+    formatRejectedSubmissions,
+    loadQueue,
+    loadRejected,
+    removeRejected,
+    submissionOutcome
+} from '../submissionQueue.js';
+
+// A localStorage stand-in; writes to the keys in `fullKeys` fail like a full storage.
+function createStorage(fullKeys = []) {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem(key, value) {
+            if (fullKeys.includes(key)) throw new Error('QuotaExceededError');
+            items.set(key, String(value));
+        },
+        removeItem: key => items.delete(key)
+    };
+}
+
+function response(status, body = {}) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+function payload(token) {
+    return { participant_token: token, best_fit_type: 'INFP' };
+}
+
+// Runs `run` with console.warn silenced, since the failure paths log what went wrong.
+async function quietly(run) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return await run();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+test('payloads are queued by participant token, oldest first', () => {
+    const storage = createStorage();
+    assert.equal(enqueueSubmission(storage, payload('a'), new Date('2026-10-01T08:00:00Z')), true);
+    assert.equal(enqueueSubmission(storage, payload('b'), new Date('2026-10-01T09:00:00Z')), true);
+    assert.deepEqual(loadQueue(storage), [
+        { version: QUEUE_ENTRY_VERSION, token: 'a', payload: payload('a'), queuedAt: '2026-10-01T08:00:00.000Z', attempts: 0 },
+        { version: QUEUE_ENTRY_VERSION, token: 'b', payload: payload('b'), queuedAt: '2026-10-01T09:00:00.000Z', attempts: 0 }
+    ]);
+
+    // Queuing a token again replaces its entry.
+    enqueueSubmission(storage, { ...payload('a'), best_fit_type: 'ESTJ' });
+    assert.deepEqual(loadQueue(storage).map(({ token, payload: { best_fit_type: type } }) => `${token}:${type}`), ['b:INFP', 'a:ESTJ']);
+});
+
+test('a full or unreadable storage does not throw', async () => {
+    await quietly(() => {
+        assert.equal(enqueueSubmission(createStorage([QUEUE_STORAGE_KEY]), payload('a')), false);
+        const storage = createStorage();
+        storage.setItem(QUEUE_STORAGE_KEY, '{not json');
+        storage.setItem(REJECTED_STORAGE_KEY, '{"not": "a list"}');
+        assert.deepEqual(loadQueue(storage), []);
+        assert.deepEqual(loadRejected(storage), []);
+    });
+});
+
+test('outcomes: saved when ok, rejected on 422, otherwise retried', () => {
+    assert.equal(submissionOutcome(response(200)), 'saved');
+    assert.equal(submissionOutcome(response(422)), 'rejected');
+    assert.equal(submissionOutcome(response(400)), 'retry');
+    assert.equal(submissionOutcome(response(503)), 'retry');
+    assert.equal(submissionOutcome(null), 'retry');
+});
+
+test('saved entries leave the queue and failed ones are retried later', async () => {
+    const storage = createStorage();
+    for (const token of ['saved', 'offline', 'server-error', 'no-response']) {
+        enqueueSubmission(storage, payload(token));
+    }
+    const answers = {
+        saved: () => response(200),
+        offline: () => { throw new TypeError('Failed to fetch'); },
+        'server-error': () => response(500, { error: 'boom' }),
+        'no-response': () => null
+    };
+    const sent = [];
+    const result = await quietly(() => flushQueue(storage, async body => {
+        sent.push(body.participant_token);
+        return answers[body.participant_token]();
+    }));
+
+    assert.deepEqual(sent, ['saved', 'offline', 'server-error', 'no-response']);
+    assert.deepEqual(result, { saved: ['saved'], rejected: [], pending: 3 });
+    assert.deepEqual(loadQueue(storage).map(({ token, attempts }) => `${token}:${attempts}`), ['offline:1', 'server-error:1', 'no-response:1']);
+    assert.deepEqual(loadRejected(storage), []);
+
+    // The next attempt succeeds for all of them and empties the queue.
+    assert.deepEqual(await flushQueue(storage, async () => response(200)), { saved: ['offline', 'server-error', 'no-response'], rejected: [], pending: 0 });
+    assert.equal(storage.getItem(QUEUE_STORAGE_KEY), null);
+});
+
+test('refused entries move to the refused store with the reasons given', async () => {
+    const storage = createStorage();
+    enqueueSubmission(storage, payload('details'), new Date('2026-10-01T08:00:00Z'));
+    enqueueSubmission(storage, payload('message'));
+    enqueueSubmission(storage, payload('unreadable'));
+    const bodies = {
+        details: { error: 'The result was not accepted.', details: ['The respondent has not consented to their result being stored for research.'] },
+        message: { error: 'The result was not accepted.' },
+        unreadable: null
+    };
+    const result = await flushQueue(storage, async ({ participant_token: token }) => (
+        token === 'unreadable'
+            ? { ok: false, status: 422, json: async () => { throw new SyntaxError('Unexpected end of JSON input'); } }
+            : response(422, bodies[token])
+    ));
+
+    assert.deepEqual(result, { saved: [], rejected: ['details', 'message', 'unreadable'], pending: 0 });
+    assert.deepEqual(loadQueue(storage), []);
+    const rejected = loadRejected(storage);
+    assert.deepEqual(rejected.map(({ reasons }) => reasons), [
+        ['The respondent has not consented to their result being stored for research.'],
+        ['The result was not accepted.'],
+        []
+    ]);
+    assert.equal(rejected[0].queuedAt, '2026-10-01T08:00:00.000Z');
+    assert.equal(rejected[0].attempts, 1);
+    assert.deepEqual(rejected[0].payload, payload('details'));
+    assert.ok(!Number.isNaN(Date.parse(rejected[0].rejectedAt)));
+});
+
+test('a refused entry stays queued when the refused store cannot be written', async () => {
+    const storage = createStorage([REJECTED_STORAGE_KEY]);
+    enqueueSubmission(storage, payload('a'));
+    const result = await quietly(() => flushQueue(storage, async () => response(422, { error: 'No.' })));
+    assert.deepEqual(result, { saved: [], rejected: [], pending: 1 });
+    assert.equal(loadQueue(storage)[0].attempts, 1);
+});
+
+test('entries of another queue version are kept but not sent', async () => {
+    const storage = createStorage();
+    enqueueSubmission(storage, payload('current'));
+    storage.setItem(QUEUE_STORAGE_KEY, JSON.stringify([
+        { version: QUEUE_ENTRY_VERSION + 1, token: 'future', payload: payload('future'), queuedAt: '2026-10-01T08:00:00.000Z', attempts: 0 },
+        ...loadQueue(storage)
+    ]));
+    const sent = [];
+    const result = await flushQueue(storage, async body => {
+        sent.push(body.participant_token);
+        return response(200);
+    });
+    assert.deepEqual(sent, ['current']);
+    assert.deepEqual(result, { saved: ['current'], rejected: [], pending: 1 });
+    assert.equal(loadQueue(storage)[0].token, 'future');
+});
+
+test('refused entries are exported as JSON lines and removed by token', async () => {
+    const storage = createStorage();
+    enqueueSubmission(storage, payload('a'));
+    enqueueSubmission(storage, payload('b'));
+    await flushQueue(storage, async () => response(422, { details: ['Refused.'] }));
+
+    const lines = formatRejectedSubmissions(loadRejected(storage)).split('\n');
+    assert.equal(lines.pop(), '');
+    assert.deepEqual(lines.map(line => JSON.parse(line)), loadRejected(storage).map(({ token, queuedAt, rejectedAt, reasons, payload: body }) => ({ token, queuedAt, rejectedAt, reasons, payload: body })));
+    assert.deepEqual(Object.keys(JSON.parse(lines[0])), ['token', 'queuedAt', 'rejectedAt', 'reasons', 'payload']);
+    assert.equal(formatRejectedSubmissions([]), '');
+
+    removeRejected(storage, ['a']);
+    assert.deepEqual(loadRejected(storage).map(({ token }) => token), ['b']);
+    removeRejected(storage, ['b', 'unknown']);
+    assert.equal(storage.getItem(REJECTED_STORAGE_KEY), null);
+});
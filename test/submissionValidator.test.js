@@ -0,0 +1,270 @@
+/**
+ * test/submissionValidator.test.js: Accepted, refused and flagged payloads of submissionValidator.js
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { CONSENT_VERSION, CONSENT_VERSIONS, buildConsentRecord } from '../consent.js';
+import { getInstrument } from '../instruments.js';
+import { ADMINISTRATION_ESTIMATORS, buildResultRecord, hashQuestionSet } from '../resultRecord.js';
+import { encodeResultToken } from '../resultToken.js';
+import { ENGINE_VERSION, ENGINE_VERSIONS, calculateResults } from '../scorer.js';
+import { validateSubmission } from '../submissionValidator.js';
+import { createRandom } from './simulatedResponses.js';
+
+const formM = getInstrument();
+const questionData = JSON.parse(readFileSync(new URL(`../${formM.questionsFile}`, import.meta.url), 'utf8'));
+const questions = questionData[formM.questionsKey];
+const questionBanks = { [formM.questionsFile]: questionData };
+const questionSetHash = hashQuestionSet(questions);
+
+// Choices of a respondent answering at random, with every seventh item left out.
+function randomChoices(seed) {
+    const random = createRandom(seed);
+    return questions.map((_, index) => (index % 7 === 6 ? null : random() < 0.5 ? 'A' : 'B'));
+}
+
+// A fixed-form payload as app.js builds it for `choices` (one 'A', 'B' or null per item).
+function buildPayload(choices = randomChoices(4)) {
+    const answers = choices.map(choice => (choice ? { choice, latencyMs: 4000, changes: 0 } : null));
+    const scored = {};
+    answers.forEach((answer, index) => {
+        if (answer) scored[index + 1] = { choice: answer.choice };
+    });
+    const estimator = ADMINISTRATION_ESTIMATORS.fixed;
+    const { dichotomyResults, scoringProfile } = calculateResults(scored, { [formM.questionsKey]: questions }, { instrument: formM, estimator });
+    return {
+        result_record: buildResultRecord({ instrument: formM, questionSetHash, answers, estimator, scoringProfile, dichotomyResults, engineVersion: ENGINE_VERSION }),
+        best_fit_type: formM.dichotomies.map(({ name }) => dichotomyResults[name].preference).join(''),
+        reported_type: dichotomyResults,
+        locale: 'en',
+        response_timing: { total_ms: 372000, answered_count: Object.keys(scored).length, median_latency_ms: 4000, fast_response_count: 0, answer_changes: 0, speeded: false },
+        retest: null,
+        consent: buildConsentRecord({ locale: 'en', research: true, contact: false }),
+        contact: null,
+        enjoys_frameworks: true,
+        wants_in_schools: false,
+        participant_token: 'a'.repeat(43)
+    };
+}
+
+function validate(payload) {
+    return validateSubmission(payload, questionBanks);
+}
+
+function assertRefused(payload, pattern) {
+    const { valid, errors } = validate(payload);
+    assert.equal(valid, false);
+    assert.ok(errors.some(error => pattern.test(error)), `no error matches ${pattern}: ${errors.join(' | ')}`);
+}
+
+test('a payload built like app.js does is accepted with its rescoring', () => {
+    const payload = buildPayload();
+    const { valid, errors, flags, instrument, rescored, retest } = validate(payload);
+    assert.deepEqual(errors, []);
+    assert.equal(valid, true);
+    assert.deepEqual(flags, []);
+    assert.equal(instrument, formM);
+    assert.deepEqual(rescored.dichotomyResults, payload.reported_type);
+    assert.equal(retest, null);
+});
+
+test('results sent before locales, timing or retests were recorded are accepted', () => {
+    const payload = buildPayload();
+    delete payload.locale;
+    delete payload.response_timing;
+    delete payload.retest;
+    assert.deepEqual(validate(payload).errors, []);
+});
+
+test('the body, consent, contact details and participant token are checked', () => {
+    assert.deepEqual(validate([]).errors, ['The request body must be a JSON object.']);
+    assertRefused({ ...buildPayload(), consent: { ...buildPayload().consent, research: false } }, /not consented/);
+    assertRefused({ ...buildPayload(), contact: { email: 'someone@example.org' } }, /without consent/);
+    assertRefused({ ...buildPayload(), participant_token: 'short' }, /participant_token/);
+    assertRefused({ ...buildPayload(), result_record: { ...buildPayload().result_record, form: { id: 'form-x' } } }, /one of the forms form-m/);
+});
+
+test('scores that the answers do not give are refused', () => {
+    const payload = buildPayload();
+    const [first] = formM.dichotomies.map(({ name }) => name);
+    payload.reported_type = { ...payload.reported_type, [first]: { ...payload.reported_type[first], pci: payload.reported_type[first].pci + 5 } };
+    assertRefused(payload, new RegExp(`reported_type\\.${first}\\.pci`));
+
+    const tampered = buildPayload();
+    tampered.result_record.thetas[first].theta += 0.5;
+    assertRefused(tampered, new RegExp(`theta for ${first}`));
+
+    const edited = buildPayload();
+    edited.result_record.responses[1] = { ...edited.result_record.responses[1], status: 'not-administered', choice: null };
+    assertRefused(edited, /fixed administration cannot have items with status not-administered/);
+});
+
+test('best_fit_type may only differ from the rescoring where a Slight preference was verified', () => {
+    const payload = buildPayload();
+    const dichotomies = formM.dichotomies.map(({ name, poles }, i) => ({ name, poles, i }));
+    const verified = dichotomies.find(({ name }) => payload.reported_type[name].pcc === 'Slight');
+    const clear = dichotomies.find(({ name }) => payload.reported_type[name].pcc !== 'Slight');
+    const flip = ({ poles, i }) => {
+        const letters = [...payload.best_fit_type];
+        letters[i] = poles.find(pole => pole !== letters[i]);
+        return letters.join('');
+    };
+
+    assert.ok(verified && clear, 'the fixture needs a Slight and a clearer preference');
+    assert.equal(validate({ ...payload, best_fit_type: flip(verified) }).valid, true);
+    assertRefused({ ...payload, best_fit_type: flip(clear) }, new RegExp(`best_fit_type has .* for ${clear.name}`));
+    assertRefused({ ...payload, best_fit_type: 'EST' }, /must be 4 letters/);
+    assertRefused({ ...payload, best_fit_type: `X${payload.best_fit_type.slice(1)}` }, /letter 1 must be E or I/);
+});
+
+test('locale and survey answers must be known values', () => {
+    assertRefused({ ...buildPayload(), locale: 'de' }, /"locale" must be one of en, es, fr/);
+    assertRefused({ ...buildPayload(), locale: { toString: 'en' } }, /"locale"/);
+    assertRefused({ ...buildPayload(), enjoys_frameworks: 'yes' }, /"enjoys_frameworks" must be true, false or null/);
+    assert.equal(validate({ ...buildPayload(), locale: 'fr', wants_in_schools: null }).valid, true);
+});
+
+test('response timing must have exactly its fields, within bounds', () => {
+    const timing = buildPayload().response_timing;
+    const refuse = (changes, pattern) => assertRefused({ ...buildPayload(), response_timing: { ...timing, ...changes } }, pattern);
+    refuse({ extra: 1 }, /exactly the fields/);
+    refuse({ total_ms: -1 }, /total_ms must be an integer/);
+    refuse({ total_ms: 1e12 }, /total_ms must be an integer/);
+    refuse({ answered_count: questions.length + 1 }, /answered_count must be an integer from 0 to 93/);
+    refuse({ median_latency_ms: 'slow' }, /median_latency_ms/);
+    refuse({ fast_response_count: timing.answered_count + 1 }, /fast_response_count/);
+    refuse({ answer_changes: 1.5 }, /answer_changes/);
+    refuse({ speeded: 'no' }, /speeded must be true or false/);
+    assertRefused({ ...buildPayload(), response_timing: [] }, /exactly the fields/);
+    assert.equal(validate({ ...buildPayload(), response_timing: { ...timing, median_latency_ms: null } }).valid, true);
+});
+
+test('a retest is rebuilt from the earlier result token rather than taken from the payload', () => {
+    const previousChoices = randomChoices(2);
+    const previous_token = encodeResultToken({ questionSetHash, answers: previousChoices, bestFit: [1, 0, 1, 0] });
+    const payload = buildPayload();
+    payload.retest = {
+        previous_token,
+        previous_completed_at: '2026-09-01T10:00:00.000Z',
+        previous_best_fit_type: 'ESTJ',
+        previous_reported_type: { forged: true },
+        comparison: { forged: true }
+    };
+    const { valid, errors, retest, rescored } = validate(payload);
+    assert.deepEqual(errors, []);
+    assert.equal(valid, true);
+
+    const scored = Object.fromEntries(previousChoices.flatMap((choice, index) => (choice ? [[index + 1, { choice }]] : [])));
+    const previous = calculateResults(scored, { [formM.questionsKey]: questions }, { instrument: formM }).dichotomyResults;
+    assert.equal(retest.previous_token, previous_token);
+    assert.equal(retest.previous_completed_at, '2026-09-01T10:00:00.000Z');
+    assert.equal(retest.previous_best_fit_type, 'ISFJ');
+    assert.deepEqual(retest.previous_reported_type, previous);
+    for (const { name } of formM.dichotomies) {
+        assert.equal(retest.comparison[name].previous.theta, previous[name].theta);
+        assert.equal(retest.comparison[name].current.theta, rescored.dichotomyResults[name].theta);
+    }
+});
+
+test('a retest needs a readable token and a valid date; one of another item bank keeps no scores', () => {
+    const retestWith = changes => ({ ...buildPayload(), retest: { previous_token: encodeResultToken({ questionSetHash, answers: randomChoices(3), bestFit: [0, 0, 0, 0] }), previous_completed_at: null, ...changes } });
+    assert.equal(validate(retestWith({})).valid, true);
+    assertRefused(retestWith({ previous_token: 'not a token!' }), /previous_token cannot be read/);
+    assertRefused(retestWith({ previous_token: 'A'.repeat(5000) }), /must name the earlier result/);
+    assertRefused(retestWith({ previous_token: undefined }), /must name the earlier result/);
+    assertRefused(retestWith({ previous_completed_at: 'yesterday' }), /previous_completed_at must be null or an ISO 8601 date/);
+    assertRefused({ ...buildPayload(), retest: 'ESTJ' }, /must name the earlier result/);
+
+    const { retest } = validate(retestWith({ previous_token: encodeResultToken({ questionSetHash: 'abcdef', answers: randomChoices(3), bestFit: [0, 0, 0, 0] }) }));
+    assert.equal(retest.previous_best_fit_type, 'ESTJ');
+    assert.equal(retest.previous_reported_type, null);
+    assert.equal(retest.comparison, null);
+});
+
+test('the current consent text, form release, item bank and engine version are registered', () => {
+    assert.equal(CONSENT_VERSIONS.at(-1), CONSENT_VERSION);
+    assert.equal(ENGINE_VERSIONS.at(-1), ENGINE_VERSION);
+    const current = formM.releases.at(-1);
+    assert.equal(current.version, formM.version);
+    assert.ok(current.questionSetHashes.includes(questionSetHash), `add ${questionSetHash} to the releases of ${formM.id} in instruments.js`);
+});
+
+test('versions that were never released are refused, not flagged', () => {
+    const withRecord = changes => {
+        const payload = buildPayload();
+        Object.assign(payload.result_record, changes);
+        return payload;
+    };
+    assertRefused(withRecord({ engine_version: 'x' }), /engine version "x", which was never released; the versions are 1\.0/);
+    assertRefused(withRecord({ engine_version: null }), /engine version null, which was never released/);
+    assertRefused(withRecord({ form: { id: 'form-m', version: '9.9', question_set_hash: questionSetHash } }), /version "9\.9" of form-m, which was never released/);
+    assertRefused(withRecord({ form: { id: 'form-m', version: '1.0', question_set_hash: 'deadbeef' } }), /never released as form-m 1\.0/);
+    assertRefused({ ...buildPayload(), consent: { ...buildPayload().consent, version: '0.1' } }, /never shown/);
+
+    // An unknown version does not turn tampered scores into a review flag.
+    const tampered = withRecord({ engine_version: 'x' });
+    const [first] = formM.dichotomies;
+    tampered.reported_type = { ...tampered.reported_type, [first.name]: { ...tampered.reported_type[first.name], pci: 30 } };
+    const { valid, errors, flags } = validate(tampered);
+    assert.equal(valid, false);
+    assert.deepEqual(flags, []);
+    assert.ok(errors.some(error => error.startsWith(`reported_type.${first.name}.pci is 30`)));
+});
+
+// Registers an earlier release of the consent text, Form M (with item bank "0ea41e57")
+// and the engine for the duration of `run`.
+function withEarlierReleases(run) {
+    CONSENT_VERSIONS.unshift('0.9');
+    ENGINE_VERSIONS.unshift('0.9');
+    formM.releases.unshift({ version: '0.9', questionSetHashes: ['0ea41e57'] });
+    try {
+        run();
+    } finally {
+        CONSENT_VERSIONS.shift();
+        ENGINE_VERSIONS.shift();
+        formM.releases.shift();
+    }
+}
+
+test('results of earlier releases are accepted with review flags', () => {
+    withEarlierReleases(() => {
+        const payload = buildPayload();
+        payload.result_record.engine_version = '0.9';
+        payload.result_record.form = { id: 'form-m', version: '0.9', question_set_hash: '0ea41e57' };
+        payload.consent = { ...payload.consent, version: '0.9' };
+        const { valid, flags, rescored } = validate(payload);
+        assert.equal(valid, true);
+        assert.deepEqual(flags.map(({ code }) => code), ['consent-version', 'form-version', 'question-set', 'engine-version']);
+        assert.match(flags[3].message, /engine version "0\.9", not 1\.0/);
+        assert.deepEqual(rescored.dichotomyResults, payload.reported_type);
+
+        // Their scores may differ from the rescoring, which is then flagged too.
+        const [first] = formM.dichotomies;
+        payload.reported_type = { ...payload.reported_type, [first.name]: { ...payload.reported_type[first.name], pci: 30 } };
+        const differing = validate(payload);
+        assert.equal(differing.valid, true);
+        assert.equal(differing.flags.at(-1).code, 'rescore-differs');
+        assert.match(differing.flags.at(-1).message, new RegExp(`reported_type\\.${first.name}\\.pci is 30`));
+
+        // An earlier form version lists its own item banks only.
+        payload.result_record.form.question_set_hash = questionSetHash;
+        assertRefused(payload, /never released as form-m 0\.9/);
+    });
+});
+
+test('a best-fit type the rescoring does not allow is refused for earlier releases too', () => {
+    withEarlierReleases(() => {
+        const payload = buildPayload();
+        payload.result_record.engine_version = '0.9';
+        const index = formM.dichotomies.findIndex(({ name }) => payload.reported_type[name].pcc !== 'Slight');
+        const { name, poles } = formM.dichotomies[index];
+        const letters = [...payload.best_fit_type];
+        letters[index] = poles.find(pole => pole !== letters[index]);
+        const { valid, errors, flags } = validate({ ...payload, best_fit_type: letters.join('') });
+        assert.equal(valid, false);
+        assert.deepEqual(flags, []);
+        assert.ok(errors.some(error => error.startsWith(`best_fit_type has ${letters[index]} for ${name}`)));
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * test/teamReport.test.js: Members, counts and refused entries of teamReport.js
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { getInstrument } from '../instruments.js';
+import { hashQuestionSet } from '../resultRecord.js';
+import { encodeResultToken } from '../resultToken.js';
+import { calculateResults } from '../scorer.js';
+import {
+    buildTeamReport,
+    memberFromToken,
+    parseTeamEntries,
+    readResultsCsv,
+    renderTeamReport,
+    teamMember
+} from '../teamReport.js';
+import { createItemBank } from './simulatedResponses.js';
+
+const formM = getInstrument();
+const formMQuestions = JSON.parse(readFileSync(new URL(`../${formM.questionsFile}`, import.meta.url), 'utf8'))[formM.questionsKey];
+
+// Reported results of a type, every preference at `pci` with clarity `pcc`.
+function reportedType(type, pci = 10, pcc = 'Moderate') {
+    return Object.fromEntries(formM.dichotomies.map(({ name }, index) => [name, { preference: type[index], pci, pcc }]));
+}
+
+function member(label, type, pcc = 'Moderate') {
+    return teamMember({ label, type, dichotomyResults: reportedType(type, 10, pcc) }, formM);
+}
+
+function csvCell(value) {
+    return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+test('a member keeps the best-fit letters and the reported preferences', () => {
+    // The best fit may differ from the reported preference, as after the verification step.
+    const dichotomyResults = { ...reportedType('INTP'), 'J-P': { preference: 'P', pci: 3, pcc: 'Slight' } };
+    const result = teamMember({ label: '  Ana ', type: 'intj', dichotomyResults }, formM);
+    assert.equal(result.label, 'Ana');
+    assert.equal(result.type, 'INTJ');
+    assert.deepEqual(result.dichotomies['J-P'], { preference: 'P', pci: 3, pcc: 'Slight', bestFit: 'J' });
+    assert.deepEqual(result.dichotomies['E-I'], { preference: 'I', pci: 10, pcc: 'Moderate', bestFit: 'I' });
+    assert.equal(teamMember({ label: ' ', type: 'INTJ', dichotomyResults }, formM).label, null);
+});
+
+test('members with unreadable types or results are refused', () => {
+    const refuse = (entry, message) => assert.throws(() => teamMember(entry, formM), { name: 'RangeError', message });
+    refuse({ type: 'INT', dichotomyResults: reportedType('INTJ') }, /must have 4 letters, got "INT"/);
+    refuse({ type: null, dichotomyResults: reportedType('INTJ') }, /must have 4 letters, got null/);
+    refuse({ type: 'IXTJ', dichotomyResults: reportedType('INTJ') }, /Letter 2 of the best-fit type "IXTJ" must be S or N/);
+    refuse({ type: 'INTJ', dichotomyResults: null }, /no reported type/);
+    refuse({ type: 'INTJ', dichotomyResults: { ...reportedType('INTJ'), 'T-F': { preference: 'X', pci: 5, pcc: 'Slight' } } }, /no readable T-F preference/);
+    refuse({ type: 'INTJ', dichotomyResults: { ...reportedType('INTJ'), 'T-F': { preference: 'T', pci: 'high', pcc: 'Slight' } } }, /no readable T-F preference/);
+    refuse({ type: 'INTJ', dichotomyResults: reportedType('INTJ', 10, 'Obvious') }, /no readable E-I preference/);
+    const { 'S-N': _, ...withoutSensing } = reportedType('INTJ');
+    refuse({ type: 'INTJ', dichotomyResults: withoutSensing }, /no readable S-N preference/);
+});
+
+test('a member rebuilt from a token scores as opening the link would', () => {
+    const answers = formMQuestions.map((_, index) => (index % 5 === 2 ? null : index % 4 === 0 ? 'B' : 'A'));
+    const token = encodeResultToken({ questionSetHash: hashQuestionSet(formMQuestions), answers, bestFit: [1, 0, 0, 1] });
+    const rebuilt = memberFromToken(token, formMQuestions, formM, 'Ben');
+
+    const keyed = {};
+    answers.forEach((choice, index) => {
+        if (choice) keyed[index + 1] = { choice };
+    });
+    const { dichotomyResults } = calculateResults(keyed, { [formM.questionsKey]: formMQuestions }, { instrument: formM });
+    assert.equal(rebuilt.label, 'Ben');
+    assert.equal(rebuilt.type, 'ISTP');
+    formM.dichotomies.forEach(({ name }, index) => {
+        const { preference, pci, pcc } = dichotomyResults[name];
+        assert.deepEqual(rebuilt.dichotomies[name], { preference, pci, pcc, bestFit: 'ISTP'[index] });
+    });
+});
+
+test('tokens that are empty, malformed or of another item bank are refused', () => {
+    const { questions } = createItemBank(Array(formMQuestions.length).fill({ a: 1, b: 0 }));
+    const answers = formMQuestions.map(() => 'A');
+    const otherBank = encodeResultToken({ questionSetHash: hashQuestionSet(questions), answers, bestFit: [0, 0, 0, 0] });
+    const refuse = (token, message) => assert.throws(() => memberFromToken(token, formMQuestions, formM), { name: 'RangeError', message });
+    refuse('', /no result link or token/);
+    refuse(null, /no result link or token/);
+    refuse('not-a-token', /Unsupported result token version/);
+    refuse(otherBank, /different version of the assessment/);
+
+    // A bank of another length is refused even when its hash is claimed.
+    const short = encodeResultToken({ questionSetHash: hashQuestionSet(formMQuestions), answers: answers.slice(0, 10), bestFit: [0, 0, 0, 0] });
+    refuse(short, /different version of the assessment/);
+});
+
+test('pasted lines split into labels and tokens', () => {
+    const text = '\uFEFFAna: https://example.org/quiz/#result=AbC_1-2\n\n  \r\nBen - #retest=XyZ\nQkRz\n???\n';
+    assert.deepEqual(parseTeamEntries(text), [
+        { line: 1, label: 'Ana', token: 'AbC_1-2' },
+        { line: 4, label: 'Ben', token: 'XyZ' },
+        { line: 5, label: null, token: 'QkRz' },
+        { line: 6, label: '???', token: null }
+    ]);
+});
+
+test('a results CSV is read row by row, leaving out unreadable rows', () => {
+    const csv = [
+        'id,name,best_fit_type,reported_type',
+        `1,Ana,INTJ,${csvCell(JSON.stringify(reportedType('INTJ')))}`,
+        `2,,estp,${csvCell(JSON.stringify(reportedType('ESTP', 20, 'Clear')))}`,
+        `3,Cy,INXJ,${csvCell(JSON.stringify(reportedType('INTJ')))}`,
+        '4,Dee,INTJ,{not json',
+        '5,Eve,INTJ',
+        `6,Flo,ENFP,${csvCell(JSON.stringify({ 'E-I': reportedType('ENFP')['E-I'] }))}`
+    ].join('\n');
+    const { members, errors } = readResultsCsv(csv, formM);
+    assert.deepEqual(members.map(({ label, type }) => `${label}:${type}`), ['Ana:INTJ', 'null:ESTP']);
+    assert.equal(members[1].dichotomies['T-F'].pcc, 'Clear');
+    assert.deepEqual(errors.map(({ line }) => line), [4, 5, 6, 7]);
+    assert.match(errors[0].message, /Letter 3 of the best-fit type "INXJ" must be T or F/);
+    assert.match(errors[1].message, /reported_type is not valid JSON/);
+    assert.match(errors[2].message, /3 cells but the header has 4/);
+    assert.match(errors[3].message, /no readable S-N preference/);
+
+    // The label falls back to the id column when there is no name.
+    assert.equal(readResultsCsv(`ID,best_fit_type,reported_type\nr-7,INTJ,${csvCell(JSON.stringify(reportedType('INTJ')))}`, formM).members[0].label, 'r-7');
+    assert.deepEqual(readResultsCsv('', formM), { members: [], errors: [] });
+    assert.throws(() => readResultsCsv('id,best_fit_type\n1,INTJ', formM), { name: 'RangeError', message: /best_fit_type and reported_type columns/ });
+});
+
+test('the report counts types, balance and clarity', () => {
+    const members = [
+        member('Ana', 'INTJ', 'Clear'),
+        member('Ben', 'ENFP'),
+        member(null, 'INTJ', 'Slight'),
+        member('Cy', 'ISTJ'),
+        member('Dee', 'ENFP', 'Very Clear')
+    ];
+    const report = buildTeamReport(members, formM);
+    assert.equal(report.size, 5);
+    assert.deepEqual(report.categories, ['Slight', 'Moderate', 'Clear', 'Very Clear']);
+
+    // Most frequent first; ties in type table order, where INTJ comes before ENFP.
+    assert.deepEqual(report.types.map(({ type, count, labels }) => `${type}:${count}:${labels.join('+')}`),
+        ['INTJ:2:Ana', 'ENFP:2:Ben+Dee', 'ISTJ:1:Cy']);
+    assert.equal(report.types[0].share, 0.4);
+
+    // ISTJ at the top left, ENTJ at the bottom right.
+    assert.deepEqual(report.table.map(row => row.map(cell => cell.type)), [
+        ['ISTJ', 'ISFJ', 'INFJ', 'INTJ'],
+        ['ISTP', 'ISFP', 'INFP', 'INTP'],
+        ['ESTP', 'ESFP', 'ENFP', 'ENTP'],
+        ['ESTJ', 'ESFJ', 'ENFJ', 'ENTJ']
+    ]);
+    assert.deepEqual(report.table[0][0], { type: 'ISTJ', count: 1, share: 0.2, labels: ['Cy'] });
+    assert.deepEqual(report.table[2][2], { type: 'ENFP', count: 2, share: 0.4, labels: ['Ben', 'Dee'] });
+    assert.equal(report.table[3][3].count, 0);
+
+    const [energy, , , lifestyle] = report.dichotomies;
+    assert.deepEqual(energy.counts, { E: 2, I: 3 });
+    assert.deepEqual(energy.shares, { E: 0.4, I: 0.6 });
+    assert.deepEqual(energy.clarity, {
+        E: { Slight: 0, Moderate: 1, Clear: 0, 'Very Clear': 1 },
+        I: { Slight: 1, Moderate: 1, Clear: 1, 'Very Clear': 0 }
+    });
+    assert.deepEqual(lifestyle.counts, { J: 3, P: 2 });
+});
+
+test('balance counts the best-fit letter and clarity the reported preference', () => {
+    const switched = teamMember({ type: 'ESTJ', dichotomyResults: reportedType('ISTJ', 2, 'Slight') }, formM);
+    const [energy] = buildTeamReport([switched], formM).dichotomies;
+    assert.deepEqual(energy.counts, { E: 1, I: 0 });
+    assert.deepEqual(energy.clarity.E, { Slight: 0, Moderate: 0, Clear: 0, 'Very Clear': 0 });
+    assert.equal(energy.clarity.I.Slight, 1);
+});
+
+test('an empty team has no shares', () => {
+    const report = buildTeamReport([], formM);
+    assert.equal(report.size, 0);
+    assert.deepEqual(report.types, []);
+    assert.ok(report.table.flat().every(cell => cell.count === 0 && cell.share === null));
+    assert.deepEqual(report.dichotomies[0].shares, { E: null, I: null });
+});
+
+test('labels are escaped in the rendered report', () => {
+    const report = {
+        ...buildTeamReport([member('<b>Ana</b> & "co"', 'INTJ')], formM),
+        generatedAt: new Date('2026-10-19T00:00:00Z'),
+        locale: 'en'
+    };
+    const html = renderTeamReport(report, key => key);
+    assert.ok(html.includes('&lt;b&gt;Ana&lt;/b&gt; &amp; &quot;co&quot;'));
+    assert.ok(!html.includes('<b>Ana</b>'));
+});